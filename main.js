@@ -28,6 +28,8 @@ __export(main_exports, {
 });
 module.exports = __toCommonJS(main_exports);
 var import_obsidian = require("obsidian");
+var LOOM_DATA_PATH = ".obsidian/plugins/loom/data.json";
+var LOOM_PRIMARY_SOURCE_ID = "loomsidian";
 var DEFAULT_SETTINGS = {
   screenshotInputFolder: "Inbox/Screenshots",
   screenshotNoteFolder: "Artifacts/Screenshots",
@@ -35,13 +37,44 @@ var DEFAULT_SETTINGS = {
   enableLoomBackup: true,
   loomBackupFolderPath: "ArtifactingData/LoomBackups",
   maxLoomBackups: 5,
+  loomBackupKeepHourly: 24,
+  loomBackupKeepDaily: 14,
+  loomBackupKeepWeekly: 8,
+  loomBackupKeepMonthly: 12,
   loomBackupGrowthThresholdKB: 512,
   enableDailyLoomBackupCheck: true,
   dailyLoomBackupCheckTime: "06:00",
   enableNewScreenshotTag: true,
   newScreenshotTagName: "new_artifact",
-  loomExportsFolderPath: "Artifacts/LoomExports"
+  watchScreenshotInputFolder: true,
+  loomExportsFolderPath: "Artifacts/LoomExports",
+  loomPromotedNotesFolderPath: "Artifacts/LoomNotes",
+  conversationImportFolderPath: "Artifacts/Conversations",
+  duplicateSimilarityThreshold: 80,
+  duplicateImageMaxDistance: 6,
+  duplicateScreenshotAction: "ask",
+  ocrConcurrency: 2,
+  writeOcrTextToNotes: true,
+  ocrEngines: [
+    { type: "text-extractor", enabled: true },
+    { type: "tesseract", enabled: false },
+    { type: "http", enabled: false }
+  ],
+  ocrLanguage: "eng",
+  ocrHttpEndpoint: "http://127.0.0.1:8884/ocr",
+  loomSources: [
+    { id: LOOM_PRIMARY_SOURCE_ID, type: "loomsidian", name: "Loomsidian", path: LOOM_DATA_PATH, enabled: true }
+  ],
+  enableLoomIndexWatch: true,
+  loomIndexWatchIntervalSeconds: 15,
+  loomExportIncludeCanvas: false,
+  loomExportIncludeHtml: false
 };
+var INBOX_WATCH_DEBOUNCE = 2e3;
+var LOOM_SOURCE_PATH_REINDEX_DELAY = 1500;
+var INBOX_SETTLE_CHECK_INTERVAL = 1e3;
+var INBOX_SETTLE_MAX_CHECKS = 15;
+var INBOX_SETTLE_MAX_ROUNDS = 20;
 function getTextExtractorApi(app) {
   var _a, _b, _c;
   try {
@@ -54,12 +87,794 @@ function getTextExtractorApi(app) {
   }
   return void 0;
 }
+var TESSERACT_ASSETS_FOLDER = "tesseract";
+var TESSERACT_BUNDLED_FILES = ["tesseract.esm.min.js", "worker.min.js", "core/tesseract-core-lstm.wasm.js", "core/tesseract-core-simd-lstm.wasm.js"];
+var IMAGE_MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  bmp: "image/bmp",
+  webp: "image/webp"
+};
+var OCR_ENGINES = {
+  "text-extractor": {
+    label: "Text Extractor",
+    description: "Uses the Text Extractor community plugin, which must be installed and enabled. Its own settings decide the language.",
+    getUnavailableReason: async (plugin, file) => {
+      const textExtractor = getTextExtractorApi(plugin.app);
+      if (!textExtractor)
+        return "plugin not installed or not enabled";
+      if (!textExtractor.canFileBeExtracted(file.path))
+        return "file type not supported";
+      return null;
+    },
+    extractText: (plugin, file) => getTextExtractorApi(plugin.app).extractText(file)
+  },
+  tesseract: {
+    label: "Tesseract (bundled, offline)",
+    description: `Runs the tesseract.js copy shipped in the plugin's "${TESSERACT_ASSETS_FOLDER}" folder, without network access. English is included; for other OCR languages add lang/<code>.traineddata.gz to that folder.`,
+    getUnavailableReason: async (plugin) => {
+      const assetsPath = plugin.getTesseractAssetsPath();
+      for (const bundledFile of TESSERACT_BUNDLED_FILES) {
+        if (!await plugin.app.vault.adapter.exists((0, import_obsidian.normalizePath)(`${assetsPath}/${bundledFile}`)))
+          return `${assetsPath}/${bundledFile} is missing; reinstall the plugin`;
+      }
+      for (const language of plugin.getOcrLanguages()) {
+        if (!await plugin.app.vault.adapter.exists((0, import_obsidian.normalizePath)(`${assetsPath}/lang/${language}.traineddata.gz`)))
+          return `no data for language "${language}"; add ${assetsPath}/lang/${language}.traineddata.gz`;
+      }
+      return null;
+    },
+    extractText: async (plugin, file) => {
+      const worker = await plugin.getTesseractWorker();
+      const image = new Blob([await plugin.app.vault.readBinary(file)], { type: IMAGE_MIME_TYPES[file.extension.toLowerCase()] || "application/octet-stream" });
+      const { data } = await worker.recognize(image);
+      return data.text;
+    }
+  },
+  http: {
+    label: "Local OCR server",
+    description: 'POSTs the image bytes to "OCR Server URL" with the OCR language as a lang query parameter. The server answers with plain text or JSON of the form { "text": "..." }.',
+    getUnavailableReason: async (plugin) => plugin.settings.ocrHttpEndpoint.trim() ? null : "no server URL configured",
+    extractText: async (plugin, file) => {
+      const endpoint = plugin.settings.ocrHttpEndpoint.trim();
+      const response = await (0, import_obsidian.requestUrl)({
+        url: `${endpoint}${endpoint.includes("?") ? "&" : "?"}lang=${encodeURIComponent(plugin.settings.ocrLanguage)}`,
+        method: "POST",
+        contentType: IMAGE_MIME_TYPES[file.extension.toLowerCase()] || "application/octet-stream",
+        body: await plugin.app.vault.readBinary(file),
+        throw: false
+      });
+      if (response.status < 200 || response.status >= 300)
+        throw new Error(`Server responded with HTTP ${response.status}`);
+      const contentType = (response.headers && (response.headers["content-type"] || response.headers["Content-Type"])) || "";
+      if (!contentType.includes("json") && !/^\s*\{/.test(response.text))
+        return response.text;
+      let data;
+      try {
+        data = JSON.parse(response.text);
+      } catch (err) {
+        throw new Error(`Server returned malformed JSON: ${err.message}`);
+      }
+      if (!data || typeof data.text !== "string")
+        throw new Error('Server JSON response has no "text" string.');
+      return data.text;
+    }
+  }
+};
+var OCR_MAX_AUTO_RETRIES = 5;
+var OCR_RETRY_BASE_DELAY = 6e5;
+var OCR_RETRY_MAX_DELAY = 864e5;
+function isOcrImageChanged(entry, stat) {
+  if (!stat || !entry.lastOcrAttemptDate)
+    return false;
+  if (typeof entry.imageMtime !== "number" || typeof entry.imageSize !== "number")
+    return stat.mtime > entry.lastOcrAttemptDate;
+  return stat.mtime !== entry.imageMtime || stat.size !== entry.imageSize;
+}
+function getOcrRetryDate(entry) {
+  const attempts = Math.max(1, entry.ocrAttempts || 0);
+  if (!entry.ocrError || !entry.lastOcrAttemptDate || attempts > OCR_MAX_AUTO_RETRIES)
+    return null;
+  return entry.lastOcrAttemptDate + Math.min(OCR_RETRY_BASE_DELAY * 2 ** (attempts - 1), OCR_RETRY_MAX_DELAY);
+}
+function isOcrRetryDue(entry, now = Date.now()) {
+  const retryDate = getOcrRetryDate(entry);
+  return retryDate !== null && retryDate <= now;
+}
+var OCR_NOTE_BLOCK_START = "%% artifacting:ocr-start %%";
+var OCR_NOTE_BLOCK_END = "%% artifacting:ocr-end %%";
+var OCR_NOTE_BLOCK_REGEX = /^%% artifacting:ocr-start(?: [^\n]*)? %%\r?\n(?:(?!^%% artifacting:ocr-)[\s\S])*?^%% artifacting:ocr-end %%[ \t]*$/m;
+function buildOcrNoteBlock(entry) {
+  const engine = entry.ocrEngine && OCR_ENGINES[entry.ocrEngine];
+  const longestBacktickRun = Math.max(0, ...(entry.ocrText.match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(Math.max(3, longestBacktickRun + 1));
+  const lines = entry.ocrText.split(/\r?\n/).map((line) => line.trimEnd() ? `> ${line.trimEnd()}` : ">");
+  return `${OCR_NOTE_BLOCK_START}
+> [!abstract]- OCR text${engine ? ` (${engine.label})` : ""}
+> ${fence}text
+${lines.join("\n")}
+> ${fence}
+${OCR_NOTE_BLOCK_END}`;
+}
+function replaceOcrNoteBlock(content, block, imagePath) {
+  const existingBlock = content.match(OCR_NOTE_BLOCK_REGEX);
+  if (existingBlock) {
+    const before = content.slice(0, existingBlock.index);
+    const after = content.slice(existingBlock.index + existingBlock[0].length);
+    return block ? before + block + after : before + after.replace(/^\r?\n(\r?\n)?/, "");
+  }
+  if (!block)
+    return content;
+  const embedIndex = content.indexOf(`![[${imagePath}]]`);
+  const lineEndIndex = embedIndex === -1 ? -1 : content.indexOf("\n", embedIndex);
+  if (lineEndIndex !== -1)
+    return `${content.slice(0, lineEndIndex + 1)}
+${block}
+${content.slice(lineEndIndex + 1)}`;
+  return `${content.replace(/\s*$/, "")}
+
+${block}
+`;
+}
+function getLoomIndexNodeId(sourceId, nodeId) {
+  return sourceId === LOOM_PRIMARY_SOURCE_ID ? nodeId : `${sourceId}:${nodeId}`;
+}
+function getLoomSourceNodeId(node) {
+  const sourceId = node.sourceId || LOOM_PRIMARY_SOURCE_ID;
+  return sourceId === LOOM_PRIMARY_SOURCE_ID ? node.id : node.id.substring(sourceId.length + 1);
+}
+function createLoomIndexEntry(nodeId, nodeData, documentPath, sourceId = LOOM_PRIMARY_SOURCE_ID) {
+  var _a;
+  return {
+    id: getLoomIndexNodeId(sourceId, nodeId),
+    parentId: nodeData.parentId != null ? getLoomIndexNodeId(sourceId, nodeData.parentId) : null,
+    text: nodeData.text,
+    documentPath,
+    bookmarked: (_a = nodeData.bookmarked) != null ? _a : false,
+    sourceId
+  };
+}
+function isSameLoomIndexEntry(a, b) {
+  return a.parentId === b.parentId && a.text === b.text && a.documentPath === b.documentPath && a.bookmarked === b.bookmarked && a.sourceId === b.sourceId;
+}
+function buildLoomIndexFromData(loomData, sourceId = LOOM_PRIMARY_SOURCE_ID) {
+  const index = {};
+  for (const [documentPath, docState] of Object.entries(loomData.state || {})) {
+    if (!docState || !docState.nodes)
+      continue;
+    for (const [nodeId, nodeData] of Object.entries(docState.nodes)) {
+      if (!nodeData || typeof nodeData.text !== "string")
+        continue;
+      const entry = createLoomIndexEntry(nodeId, nodeData, documentPath, sourceId);
+      index[entry.id] = entry;
+    }
+  }
+  return index;
+}
+function buildLoomChildIdsMap(index) {
+  const childIdsMap = /* @__PURE__ */ new Map();
+  for (const node of Object.values(index)) {
+    if (!node.parentId)
+      continue;
+    const siblings = childIdsMap.get(node.parentId);
+    if (siblings)
+      siblings.push(node.id);
+    else
+      childIdsMap.set(node.parentId, [node.id]);
+  }
+  return childIdsMap;
+}
+var SEARCH_TOKEN_REGEX = /[\p{L}\p{N}]+/gu;
+var BM25_K1 = 1.2;
+var BM25_B = 0.75;
+var PREFIX_MATCH_WEIGHT = 0.75;
+var FUZZY_MATCH_WEIGHT = 0.5;
+var MAX_TERM_EXPANSIONS = 50;
+function normalizeSearchTerm(term) {
+  return term.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+function tokenizeSearchText(text) {
+  const tokens = [];
+  if (!text)
+    return tokens;
+  for (const match of text.matchAll(SEARCH_TOKEN_REGEX)) {
+    tokens.push({ term: normalizeSearchTerm(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+function boundedEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance)
+    return maxDistance + 1;
+  let prevPrev = null;
+  let prev = [];
+  for (let j = 0; j <= b.length; j++)
+    prev.push(j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current.push(value);
+      if (value < rowMin)
+        rowMin = value;
+    }
+    if (rowMin > maxDistance)
+      return maxDistance + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+  return prev[b.length];
+}
+function getQueryTermMatchWeight(candidate, term) {
+  if (candidate === term)
+    return 1;
+  if (term.length >= 2 && candidate.startsWith(term))
+    return PREFIX_MATCH_WEIGHT;
+  if (term.length >= 4) {
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    if (Math.abs(candidate.length - term.length) <= maxDistance) {
+      const distance = boundedEditDistance(term, candidate, maxDistance);
+      if (distance <= maxDistance)
+        return FUZZY_MATCH_WEIGHT / distance;
+    }
+  }
+  return 0;
+}
+var TextSearchIndex = class {
+  constructor() {
+    this.postings = /* @__PURE__ */ new Map();
+    this.documentTerms = /* @__PURE__ */ new Map();
+    this.documentLengths = /* @__PURE__ */ new Map();
+    this.totalLength = 0;
+    this.sortedTerms = null;
+  }
+  get size() {
+    return this.documentLengths.size;
+  }
+  addDocument(id, text) {
+    if (this.documentLengths.has(id))
+      this.removeDocument(id);
+    const tokens = tokenizeSearchText(text);
+    const frequencies = /* @__PURE__ */ new Map();
+    for (const token of tokens) {
+      frequencies.set(token.term, (frequencies.get(token.term) || 0) + 1);
+    }
+    for (const [term, frequency] of frequencies) {
+      let termPostings = this.postings.get(term);
+      if (!termPostings) {
+        termPostings = /* @__PURE__ */ new Map();
+        this.postings.set(term, termPostings);
+        this.sortedTerms = null;
+      }
+      termPostings.set(id, frequency);
+    }
+    this.documentTerms.set(id, [...frequencies.keys()]);
+    this.documentLengths.set(id, tokens.length);
+    this.totalLength += tokens.length;
+  }
+  removeDocument(id) {
+    const terms = this.documentTerms.get(id);
+    if (!terms)
+      return;
+    for (const term of terms) {
+      const termPostings = this.postings.get(term);
+      if (!termPostings)
+        continue;
+      termPostings.delete(id);
+      if (termPostings.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    }
+    this.totalLength -= this.documentLengths.get(id) || 0;
+    this.documentTerms.delete(id);
+    this.documentLengths.delete(id);
+  }
+  getSortedTerms() {
+    if (!this.sortedTerms) {
+      this.sortedTerms = [...this.postings.keys()].sort();
+    }
+    return this.sortedTerms;
+  }
+  expandTerm(term, options) {
+    const expansions = [];
+    if (this.postings.has(term)) {
+      expansions.push({ term, weight: 1 });
+    }
+    if (options.prefix && term.length >= 2) {
+      const sortedTerms = this.getSortedTerms();
+      let low = 0;
+      let high = sortedTerms.length;
+      while (low < high) {
+        const mid = low + high >>> 1;
+        if (sortedTerms[mid] < term)
+          low = mid + 1;
+        else
+          high = mid;
+      }
+      for (let i = low; i < sortedTerms.length && expansions.length < MAX_TERM_EXPANSIONS; i++) {
+        const candidate = sortedTerms[i];
+        if (!candidate.startsWith(term))
+          break;
+        if (candidate !== term)
+          expansions.push({ term: candidate, weight: PREFIX_MATCH_WEIGHT });
+      }
+    }
+    if (options.fuzzy && term.length >= 4) {
+      const maxDistance = term.length >= 8 ? 2 : 1;
+      const alreadyExpanded = new Set(expansions.map((e) => e.term));
+      for (const candidate of this.postings.keys()) {
+        if (expansions.length >= MAX_TERM_EXPANSIONS)
+          break;
+        if (alreadyExpanded.has(candidate) || Math.abs(candidate.length - term.length) > maxDistance)
+          continue;
+        const distance = boundedEditDistance(term, candidate, maxDistance);
+        if (distance <= maxDistance) {
+          expansions.push({ term: candidate, weight: FUZZY_MATCH_WEIGHT / distance });
+        }
+      }
+    }
+    return expansions;
+  }
+  scoreTerm(term, id, frequency) {
+    const documentCount = this.documentLengths.size;
+    const documentFrequency = this.postings.get(term).size;
+    const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    const averageLength = documentCount > 0 ? this.totalLength / documentCount : 0;
+    const length = this.documentLengths.get(id) || 0;
+    const norm = averageLength > 0 ? 1 - BM25_B + BM25_B * (length / averageLength) : 1;
+    return idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * norm);
+  }
+  matchTerms(terms, options = {}) {
+    const { prefix = true, fuzzy = true } = options;
+    return terms.map((term) => {
+      const expansions = this.expandTerm(term, { prefix, fuzzy });
+      const matches = /* @__PURE__ */ new Map();
+      for (const expansion of expansions) {
+        for (const [id, frequency] of this.postings.get(expansion.term)) {
+          const score = expansion.weight * this.scoreTerm(expansion.term, id, frequency);
+          const existing = matches.get(id);
+          if (!existing) {
+            matches.set(id, { score, matchedTerms: [expansion.term] });
+          } else {
+            existing.score = Math.max(existing.score, score);
+            existing.matchedTerms.push(expansion.term);
+          }
+        }
+      }
+      return { term, expansions: new Set(expansions.map((expansion) => expansion.term)), matches };
+    });
+  }
+  search(terms, options = {}) {
+    const { mode = "and", prefix = true, fuzzy = true, limit = 200 } = options;
+    if (terms.length === 0)
+      return [];
+    const groupResults = this.matchTerms(terms, { prefix, fuzzy }).map((group) => group.matches);
+    let candidateIds;
+    if (mode === "or") {
+      candidateIds = /* @__PURE__ */ new Set();
+      for (const matches of groupResults) {
+        for (const id of matches.keys())
+          candidateIds.add(id);
+      }
+    } else {
+      const smallest = groupResults.reduce((a, b) => a.size <= b.size ? a : b);
+      candidateIds = [...smallest.keys()].filter((id) => groupResults.every((matches) => matches.has(id)));
+    }
+    const results = [];
+    for (const id of candidateIds) {
+      let score = 0;
+      const matchedTerms = /* @__PURE__ */ new Set();
+      for (const matches of groupResults) {
+        const match = matches.get(id);
+        if (!match)
+          continue;
+        score += match.score;
+        for (const term of match.matchedTerms)
+          matchedTerms.add(term);
+      }
+      results.push({ id, score, matchedTerms });
+    }
+    results.sort((a, b) => b.score - a.score);
+    return limit > 0 ? results.slice(0, limit) : results;
+  }
+};
+function renderHighlightedSnippet(el, text, matchedTerms, snippetRadius = 60, fallbackLength = 100) {
+  const matches = matchedTerms && matchedTerms.size > 0 ? tokenizeSearchText(text).filter((token) => matchedTerms.has(token.term)) : [];
+  if (matches.length === 0) {
+    el.setText(text.substring(0, fallbackLength) + (text.length > fallbackLength ? "..." : ""));
+    return;
+  }
+  const windowLength = snippetRadius * 4;
+  let bestStart = 0;
+  let bestCount = 0;
+  for (let i = 0, j = 0; i < matches.length; i++) {
+    while (j < matches.length && (j === i || matches[j].end - matches[i].start <= windowLength))
+      j++;
+    if (j - i > bestCount) {
+      bestCount = j - i;
+      bestStart = i;
+    }
+  }
+  const startIndex = Math.max(0, matches[bestStart].start - snippetRadius);
+  const endIndex = Math.min(text.length, matches[bestStart + bestCount - 1].end + snippetRadius);
+  if (startIndex > 0)
+    el.appendText("...");
+  let cursor = startIndex;
+  for (const match of matches) {
+    if (match.start < startIndex || match.end > endIndex)
+      continue;
+    if (match.start > cursor)
+      el.appendText(text.substring(cursor, match.start));
+    el.createEl("mark", { text: text.substring(match.start, match.end) });
+    cursor = match.end;
+  }
+  if (cursor < endIndex)
+    el.appendText(text.substring(cursor, endIndex));
+  if (endIndex < text.length)
+    el.appendText("...");
+}
+function matchesNumericFilter(value, expression) {
+  const rangeMatch = expression.match(/^(\d+)\.\.(\d+)$/);
+  if (rangeMatch) {
+    return value >= parseInt(rangeMatch[1]) && value <= parseInt(rangeMatch[2]);
+  }
+  const comparisonMatch = expression.match(/^(>=|<=|>|<|=)?(\d+)$/);
+  if (!comparisonMatch)
+    return false;
+  const target = parseInt(comparisonMatch[2]);
+  switch (comparisonMatch[1]) {
+    case ">":
+      return value > target;
+    case ">=":
+      return value >= target;
+    case "<":
+      return value < target;
+    case "<=":
+      return value <= target;
+    default:
+      return value === target;
+  }
+}
+function parseFilterDate(value) {
+  const dateMatch = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!dateMatch)
+    return null;
+  const date = new Date(parseInt(dateMatch[1]), parseInt(dateMatch[2]) - 1, parseInt(dateMatch[3]));
+  return isNaN(date.getTime()) ? null : date.getTime();
+}
+function parseFilterBoolean(value) {
+  const lowerValue = value.toLowerCase();
+  if (["true", "yes", "1"].includes(lowerValue))
+    return true;
+  if (["false", "no", "0"].includes(lowerValue))
+    return false;
+  return null;
+}
+var LOOM_QUERY_FILTERS = {
+  doc: {
+    description: "Document path contains text",
+    test: (node, value) => node.documentPath.toLowerCase().includes(value.toLowerCase())
+  },
+  bookmarked: {
+    description: "Bookmarked in Loomsidian",
+    values: ["true", "false"],
+    test: (node, value) => node.bookmarked === parseFilterBoolean(value)
+  },
+  depth: {
+    description: "Depth below the root (root = 0), e.g. >5, <=2, 3..6",
+    test: (node, value, plugin) => matchesNumericFilter(plugin.getLoomNodeDepth(node.id), value)
+  },
+  has: {
+    description: "Has children, a parent or a promoted note",
+    values: ["children", "parent", "note"],
+    test: (node, value, plugin) => {
+      switch (value.toLowerCase()) {
+        case "children":
+          return plugin.getLoomChildIds(node.id).length > 0;
+        case "parent":
+          return !!node.parentId;
+        case "note":
+          return !!plugin.getLoomNodeNotePath(node.id);
+        default:
+          return false;
+      }
+    }
+  },
+  id: {
+    description: "Node ID starts with",
+    test: (node, value) => getLoomSourceNodeId(node).startsWith(value)
+  },
+  source: {
+    description: "Conversation source name contains text",
+    test: (node, value, plugin) => plugin.getLoomSourceName(node.sourceId).toLowerCase().includes(value.toLowerCase())
+  }
+};
+var SCREENSHOT_QUERY_FILTERS = {
+  tag: {
+    description: "Has tag (without #)",
+    test: (info, value) => (info.tags || []).some((tag) => tag.toLowerCase() === value.replace(/^#/, "").toLowerCase())
+  },
+  has: {
+    description: "Has a note, OCR text or an OCR error",
+    values: ["note", "text", "error"],
+    test: (info, value) => {
+      switch (value.toLowerCase()) {
+        case "note":
+          return !!info.notePath;
+        case "text":
+          return !!info.ocrText;
+        case "error":
+          return !!info.ocrError;
+        default:
+          return false;
+      }
+    }
+  },
+  engine: {
+    description: "OCR engine that produced the text",
+    values: Object.keys(OCR_ENGINES),
+    test: (info, value) => !!info.ocrEngine && info.ocrEngine.toLowerCase() === value.toLowerCase()
+  },
+  ocr: {
+    description: "OCR status",
+    values: ["ok", "error", "pending"],
+    test: (info, value) => {
+      switch (value.toLowerCase()) {
+        case "ok":
+          return !!info.lastOcrAttemptDate && !info.ocrError;
+        case "error":
+          return !!info.ocrError;
+        case "pending":
+          return !info.lastOcrAttemptDate;
+        default:
+          return false;
+      }
+    }
+  },
+  after: {
+    description: "Last OCR attempt on or after date (YYYY-MM-DD)",
+    test: (info, value) => {
+      const date = parseFilterDate(value);
+      return date !== null && !!info.lastOcrAttemptDate && info.lastOcrAttemptDate >= date;
+    }
+  },
+  before: {
+    description: "Last OCR attempt before date (YYYY-MM-DD)",
+    test: (info, value) => {
+      const date = parseFilterDate(value);
+      return date !== null && !!info.lastOcrAttemptDate && info.lastOcrAttemptDate < date;
+    }
+  },
+  path: {
+    description: "Image path contains text",
+    test: (info, value) => info.imagePath.toLowerCase().includes(value.toLowerCase())
+  },
+  note: {
+    description: "Note path contains text",
+    test: (info, value) => !!info.notePath && info.notePath.toLowerCase().includes(value.toLowerCase())
+  }
+};
+function splitQueryParts(query) {
+  const parts = [];
+  let i = 0;
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i++;
+      continue;
+    }
+    const start = i;
+    let inQuotes = false;
+    while (i < query.length && (inQuotes || !/\s/.test(query[i]))) {
+      if (query[i] === '"')
+        inQuotes = !inQuotes;
+      i++;
+    }
+    parts.push(query.substring(start, i));
+  }
+  return parts;
+}
+function stripQuotes(value) {
+  return value.replace(/^"/, "").replace(/"$/, "");
+}
+function parseArtifactQuery(query, filterSpecs) {
+  const parsed = { groups: [], excludedTerms: [], excludedPhrases: [], filters: [] };
+  let group = { terms: [], phrases: [] };
+  const closeGroup = () => {
+    if (group.terms.length > 0 || group.phrases.length > 0)
+      parsed.groups.push(group);
+    group = { terms: [], phrases: [] };
+  };
+  for (const part of splitQueryParts(query)) {
+    if (part === "OR" || part === "|") {
+      closeGroup();
+      continue;
+    }
+    const negated = part.length > 1 && part.startsWith("-");
+    const body = negated ? part.substring(1) : part;
+    const filterMatch = body.match(/^([A-Za-z]+):([\s\S]*)$/);
+    if (filterMatch && filterSpecs[filterMatch[1].toLowerCase()]) {
+      const value = stripQuotes(filterMatch[2]);
+      if (value)
+        parsed.filters.push({ key: filterMatch[1].toLowerCase(), value, negated });
+      continue;
+    }
+    if (body.startsWith('"')) {
+      const phraseTerms = tokenizeSearchText(stripQuotes(body)).map((token) => token.term);
+      if (phraseTerms.length > 0)
+        (negated ? parsed.excludedPhrases : group.phrases).push(phraseTerms);
+      continue;
+    }
+    for (const token of tokenizeSearchText(body)) {
+      const target = negated ? parsed.excludedTerms : group.terms;
+      if (!target.includes(token.term))
+        target.push(token.term);
+    }
+  }
+  closeGroup();
+  return parsed;
+}
+function getQueryGroupRetrievalTerms(group) {
+  const retrievalTerms = [...group.terms];
+  for (const phrase of group.phrases) {
+    for (const term of phrase) {
+      if (!retrievalTerms.includes(term))
+        retrievalTerms.push(term);
+    }
+  }
+  return retrievalTerms;
+}
+function containsTermSequence(terms, sequence) {
+  for (let i = 0; i + sequence.length <= terms.length; i++) {
+    let matched = true;
+    for (let j = 0; j < sequence.length; j++) {
+      if (terms[i + j] !== sequence[j]) {
+        matched = false;
+        break;
+      }
+    }
+    if (matched)
+      return true;
+  }
+  return false;
+}
+function findLoomPathGroupSpan(stream, group, termMatchers) {
+  let start = stream.length;
+  let end = -1;
+  for (const matchesTerm of termMatchers) {
+    let position = stream.length - 1;
+    while (position >= 0 && !matchesTerm(stream[position].term))
+      position--;
+    if (position === -1)
+      return null;
+    start = Math.min(start, position);
+    end = Math.max(end, position);
+  }
+  for (const sequence of group.phrases) {
+    let position = stream.length - sequence.length;
+    while (position >= 0 && !sequence.every((term, offset) => stream[position + offset].term === term))
+      position--;
+    if (position < 0)
+      return null;
+    start = Math.min(start, position);
+    end = Math.max(end, position + sequence.length - 1);
+  }
+  return end === -1 ? null : { start, end };
+}
+function hasQueryConstraints(parsed) {
+  return parsed.groups.length > 0 || parsed.excludedTerms.length > 0 || parsed.excludedPhrases.length > 0 || parsed.filters.length > 0;
+}
+function runArtifactQuery(parsed, source) {
+  let candidates;
+  if (parsed.groups.length > 0) {
+    const candidatesById = /* @__PURE__ */ new Map();
+    for (const group of parsed.groups) {
+      for (const result of source.searchIndex.search(getQueryGroupRetrievalTerms(group), { mode: "and", limit: 0 })) {
+        let candidate = candidatesById.get(result.id);
+        if (!candidate) {
+          const item = source.getItem(result.id);
+          if (!item)
+            continue;
+          candidate = { item, score: 0, matchedTerms: /* @__PURE__ */ new Set(), groups: [] };
+          candidatesById.set(result.id, candidate);
+        }
+        candidate.score = Math.max(candidate.score, result.score);
+        for (const term of result.matchedTerms)
+          candidate.matchedTerms.add(term);
+        candidate.groups.push(group);
+      }
+    }
+    candidates = [...candidatesById.values()].sort((a, b) => b.score - a.score);
+  } else if (hasQueryConstraints(parsed)) {
+    const items = source.getAllItems();
+    if (source.compareUnranked)
+      items.sort(source.compareUnranked);
+    candidates = items.map((item) => ({ item, score: 0, matchedTerms: /* @__PURE__ */ new Set(), groups: [] }));
+  } else {
+    return [];
+  }
+  const needsTextCheck = parsed.groups.some((group) => group.phrases.length > 0) || parsed.excludedTerms.length > 0 || parsed.excludedPhrases.length > 0;
+  const results = [];
+  for (const candidate of candidates) {
+    const filtersMatch = parsed.filters.every((filter) => source.filterSpecs[filter.key].test(candidate.item, filter.value, source.context) !== filter.negated);
+    if (!filtersMatch)
+      continue;
+    if (needsTextCheck) {
+      const textTerms = tokenizeSearchText(source.getText(candidate.item)).map((token) => token.term);
+      if (candidate.groups.length > 0 && !candidate.groups.some((group) => group.phrases.every((phrase) => containsTermSequence(textTerms, phrase))))
+        continue;
+      if (parsed.excludedPhrases.some((phrase) => containsTermSequence(textTerms, phrase)))
+        continue;
+      if (parsed.excludedTerms.some((term) => textTerms.includes(term)))
+        continue;
+    }
+    results.push({ item: candidate.item, score: candidate.score, matchedTerms: candidate.matchedTerms });
+    if (source.limit && results.length >= source.limit)
+      break;
+  }
+  return results;
+}
+function getQueryFilterHints(query, filterSpecs) {
+  if (!query || /\s$/.test(query))
+    return [];
+  const parts = splitQueryParts(query);
+  const lastPart = parts[parts.length - 1] || "";
+  const negated = lastPart.startsWith("-");
+  const body = negated ? lastPart.substring(1) : lastPart;
+  const prefix = negated ? "-" : "";
+  const filterMatch = body.match(/^([A-Za-z]+):(.*)$/);
+  if (filterMatch) {
+    const spec = filterSpecs[filterMatch[1].toLowerCase()];
+    if (!spec || !spec.values)
+      return [];
+    const partialValue = filterMatch[2].toLowerCase();
+    return spec.values.filter((value) => value.startsWith(partialValue) && value !== partialValue).map((value) => ({
+      isFilterHint: true,
+      replacement: `${prefix}${filterMatch[1].toLowerCase()}:${value} `,
+      label: `${filterMatch[1].toLowerCase()}:${value}`,
+      description: spec.description
+    }));
+  }
+  if (body.length < 2 || body.includes('"'))
+    return [];
+  const partialKey = body.toLowerCase();
+  return Object.entries(filterSpecs).filter(([key]) => key.startsWith(partialKey) && key !== partialKey).map(([key, spec]) => ({
+    isFilterHint: true,
+    replacement: `${prefix}${key}:`,
+    label: `${key}:`,
+    description: spec.description
+  }));
+}
+function applyQueryFilterHint(inputEl, hint) {
+  const query = inputEl.value;
+  const lastPartStart = query.search(/\S+$/);
+  inputEl.value = (lastPartStart === -1 ? query : query.substring(0, lastPartStart)) + hint.replacement;
+  inputEl.dispatchEvent(new Event("input"));
+  inputEl.focus();
+}
+function renderQueryFilterHint(hint, el) {
+  el.createDiv({ text: hint.label });
+  el.createEl("small", { text: hint.description, cls: "artifacting-search-result-path" });
+}
+function getQueryFilterInstructions(filterSpecs) {
+  return [
+    { command: Object.keys(filterSpecs).map((key) => `${key}:`).join(" "), purpose: "filters (prefix with - to exclude)" },
+    { command: '"phrase" -word', purpose: "exact phrase / exclude word" },
+    { command: "a b OR c", purpose: "a and b, or c" }
+  ];
+}
 var MergeNotesModal = class extends import_obsidian.Modal {
   // Definite assignment assertion
-  constructor(app, plugin) {
+  constructor(app, plugin, initialFiles = []) {
     super(app);
-    this.filesToMerge = [];
-    this.outputFolderParentPath = "";
+    this.filesToMerge = [...initialFiles];
+    this.outputFolderParentPath = initialFiles.length > 0 ? initialFiles[0].parent ? initialFiles[0].parent.path : "/" : "";
     this.plugin = plugin;
   }
   onOpen() {
@@ -181,144 +996,1705 @@ var MergeNotesModal = class extends import_obsidian.Modal {
     contentEl.empty();
   }
 };
-var LoomSearchModal = class extends import_obsidian.SuggestModal {
-  constructor(app, plugin) {
-    super(app);
-    this.plugin = plugin;
-    this.setPlaceholder("Search loom node text...");
+var MINHASH_PERMUTATIONS = 64;
+var MINHASH_BANDS = 16;
+var DUPLICATE_SHINGLE_SIZE = 3;
+var DUPLICATE_MIN_WORDS = 5;
+var DUPLICATE_MAX_BUCKET_PAIRS = 50;
+var DUPLICATE_CLUSTERS_PER_PAGE = 30;
+function hashString32(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
   }
-  getSuggestions(query) {
-    if (!query) {
-      return Object.values(this.plugin.index).sort((a, b) => b.id > a.id ? -1 : 1).slice(0, 20);
+  return hash >>> 0;
+}
+function getTextShingles(text) {
+  const words = normalizeSearchTerm(text || "").split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (words.length < DUPLICATE_MIN_WORDS)
+    return null;
+  const shingles = /* @__PURE__ */ new Set();
+  for (let i = 0; i + DUPLICATE_SHINGLE_SIZE <= words.length; i++)
+    shingles.add(hashString32(words.slice(i, i + DUPLICATE_SHINGLE_SIZE).join(" ")));
+  return shingles;
+}
+function getMinHashSeeds() {
+  let state = 2654435769;
+  const next = () => {
+    state = state + 1831565813 | 0;
+    let t = Math.imul(state ^ state >>> 15, 1 | state);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return (t ^ t >>> 14) >>> 0;
+  };
+  const seeds = [];
+  for (let i = 0; i < MINHASH_PERMUTATIONS; i++)
+    seeds.push([next() | 1, next()]);
+  return seeds;
+}
+function computeMinHashSignature(shingles, seeds) {
+  const signature = new Uint32Array(seeds.length).fill(4294967295);
+  for (const shingle of shingles) {
+    for (let i = 0; i < seeds.length; i++) {
+      const value = Math.imul(shingle ^ seeds[i][1], seeds[i][0]) >>> 0;
+      if (value < signature[i])
+        signature[i] = value;
     }
-    return this.plugin.searchLoomIndex(query);
   }
-  renderSuggestion(node, el) {
-    const query = this.inputEl.value.toLowerCase();
-    let textSnippet = node.text.substring(0, 100) + (node.text.length > 100 ? "..." : "");
-    const textEl = el.createDiv();
-    if (query && node.text) {
-      const nodeTextLower = node.text.toLowerCase();
-      const matchIndex = nodeTextLower.indexOf(query);
-      const snippetRadius = 60;
-      if (matchIndex !== -1) {
-        const startIndex = Math.max(0, matchIndex - snippetRadius);
-        const endIndex = Math.min(node.text.length, matchIndex + query.length + snippetRadius);
-        let prefix = startIndex > 0 ? "..." : "";
-        let suffix = endIndex < node.text.length ? "..." : "";
-        const rawSnippet = node.text.substring(startIndex, endIndex);
-        const matchInSnippetIndex = rawSnippet.toLowerCase().indexOf(query);
-        if (matchInSnippetIndex !== -1) {
-          const highlightedSnippet = rawSnippet.substring(0, matchInSnippetIndex) + `<mark>${rawSnippet.substring(matchInSnippetIndex, matchInSnippetIndex + query.length)}</mark>` + rawSnippet.substring(matchInSnippetIndex + query.length);
-          textEl.innerHTML = prefix + highlightedSnippet + suffix;
-        } else {
-          textEl.setText(prefix + rawSnippet + suffix);
-        }
-      } else {
-        textEl.setText(textSnippet);
+  return signature;
+}
+function getJaccardSimilarity(a, b) {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const value of smaller) {
+    if (larger.has(value))
+      shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+async function findNearDuplicateClusters(items, threshold, onProgress) {
+  const seeds = getMinHashSeeds();
+  const rowsPerBand = MINHASH_PERMUTATIONS / MINHASH_BANDS;
+  const entries = [];
+  const buckets = /* @__PURE__ */ new Map();
+  for (let i = 0; i < items.length; i++) {
+    const shingles = getTextShingles(items[i].text);
+    if (shingles && shingles.size > 0) {
+      const entryIndex = entries.length;
+      entries.push({ item: items[i], shingles });
+      const signature = computeMinHashSignature(shingles, seeds);
+      for (let band = 0; band < MINHASH_BANDS; band++) {
+        const bucketKey = `${band}:${Array.prototype.join.call(signature.subarray(band * rowsPerBand, (band + 1) * rowsPerBand), ",")}`;
+        const bucket = buckets.get(bucketKey);
+        if (bucket)
+          bucket.push(entryIndex);
+        else
+          buckets.set(bucketKey, [entryIndex]);
       }
-    } else {
-      textEl.setText(textSnippet);
     }
-    el.createEl("small", { text: node.documentPath, cls: "loom-search-result-path" });
+    if (i % 2e3 === 1999) {
+      if (onProgress)
+        onProgress(i + 1, items.length);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
   }
-  async onChooseSuggestion(node, evt) {
-    console.log("Chosen loom suggestion:", node);
-    const activeFile = this.app.workspace.getActiveFile();
-    const triggerSwitch = () => {
-      console.log(`Triggering loom:switch-to for node ${node.id}`);
-      this.app.workspace.trigger("loom:switch-to", node.id);
-      new import_obsidian.Notice(`Attempting to switch loom to node: ${node.id.substring(0, 8)}...`);
-    };
-    if (activeFile && activeFile.path === node.documentPath) {
-      triggerSwitch();
-    } else {
-      const targetFile = this.app.vault.getAbstractFileByPath(node.documentPath);
-      if (targetFile instanceof import_obsidian.TFile) {
-        console.log(`Opening file: ${node.documentPath}`);
-        this.app.workspace.getLeaf(false).openFile(targetFile).then(() => {
-          requestAnimationFrame(() => {
-            requestAnimationFrame(triggerSwitch);
-          });
-        }).catch((err) => {
-          console.error(`Error opening file ${node.documentPath}:`, err);
-          new import_obsidian.Notice("Error opening loom document.");
-        });
-      } else {
-        new import_obsidian.Notice(`Target file not found: ${node.documentPath}`);
+  const parents = entries.map((entry, index) => index);
+  const findRoot = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+  const checkedPairs = /* @__PURE__ */ new Set();
+  const similarities = /* @__PURE__ */ new Map();
+  for (const bucket of buckets.values()) {
+    if (bucket.length < 2)
+      continue;
+    for (let a = 0; a < bucket.length; a++) {
+      const bLimit = bucket.length > DUPLICATE_MAX_BUCKET_PAIRS ? Math.min(bucket.length, a + 2) : bucket.length;
+      for (let b = a + 1; b < bLimit; b++) {
+        const pairKey = bucket[a] < bucket[b] ? `${bucket[a]}:${bucket[b]}` : `${bucket[b]}:${bucket[a]}`;
+        if (checkedPairs.has(pairKey))
+          continue;
+        checkedPairs.add(pairKey);
+        const similarity = getJaccardSimilarity(entries[bucket[a]].shingles, entries[bucket[b]].shingles);
+        if (similarity < threshold)
+          continue;
+        parents[findRoot(bucket[a])] = findRoot(bucket[b]);
+        for (const index of [bucket[a], bucket[b]])
+          similarities.set(index, Math.max(similarities.get(index) || 0, similarity));
       }
     }
   }
-};
-var ScreenshotSearchModal = class extends import_obsidian.SuggestModal {
-  constructor(app, plugin) {
+  return collectDuplicateClusters(entries.map((entry) => entry.item), findRoot, similarities);
+}
+function collectDuplicateClusters(items, findRoot, similarities) {
+  const clusters = /* @__PURE__ */ new Map();
+  for (const index of similarities.keys()) {
+    const root = findRoot(index);
+    if (!clusters.has(root))
+      clusters.set(root, []);
+    clusters.get(root).push({ ...items[index], similarity: similarities.get(index) });
+  }
+  return [...clusters.values()].filter((members) => members.length > 1).map((members) => ({ members, similarity: Math.min(...members.map((member) => member.similarity)) })).sort((a, b) => b.members.length - a.members.length || b.similarity - a.similarity);
+}
+var IMAGE_HASH_SIZE = 8;
+var IMAGE_HASH_BITS = IMAGE_HASH_SIZE * IMAGE_HASH_SIZE;
+function computeDHash(grayscale) {
+  let hash = "";
+  let nibble = 0;
+  for (let row = 0; row < IMAGE_HASH_SIZE; row++) {
+    for (let col = 0; col < IMAGE_HASH_SIZE; col++) {
+      const i = row * (IMAGE_HASH_SIZE + 1) + col;
+      nibble = nibble << 1 | (grayscale[i] < grayscale[i + 1] ? 1 : 0);
+      if (col % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hash;
+}
+function countSetBits32(value) {
+  value = value - (value >>> 1 & 1431655765);
+  value = (value & 858993459) + (value >>> 2 & 858993459);
+  return Math.imul(value + (value >>> 4) & 252645135, 16843009) >>> 24;
+}
+function getHashHammingDistance(a, b) {
+  return countSetBits32(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) + countSetBits32(parseInt(a.slice(8, 16), 16) ^ parseInt(b.slice(8, 16), 16));
+}
+async function findSimilarImageClusters(items, maxDistance, onProgress) {
+  const high = new Int32Array(items.map((item) => parseInt(item.hash.slice(0, 8), 16)));
+  const low = new Int32Array(items.map((item) => parseInt(item.hash.slice(8, 16), 16)));
+  const parents = items.map((item, index) => index);
+  const findRoot = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+  const similarities = /* @__PURE__ */ new Map();
+  for (let a = 0; a < items.length; a++) {
+    for (let b = a + 1; b < items.length; b++) {
+      const distance = countSetBits32(high[a] ^ high[b]) + countSetBits32(low[a] ^ low[b]);
+      if (distance > maxDistance)
+        continue;
+      parents[findRoot(a)] = findRoot(b);
+      const similarity = 1 - distance / IMAGE_HASH_BITS;
+      for (const index of [a, b])
+        similarities.set(index, Math.max(similarities.get(index) || 0, similarity));
+    }
+    if (a % 500 === 499) {
+      if (onProgress)
+        onProgress(a + 1, items.length);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+  return collectDuplicateClusters(items, findRoot, similarities);
+}
+var DuplicateClustersModal = class extends import_obsidian.Modal {
+  constructor(app, plugin, title, clusters) {
     super(app);
     this.plugin = plugin;
-    this.setPlaceholder("Search OCR text in images...");
+    this.title = title;
+    this.clusters = clusters;
+    this.shownCount = DUPLICATE_CLUSTERS_PER_PAGE;
+    this.archivedPaths = /* @__PURE__ */ new Set();
   }
-  getSuggestions(query) {
-    if (!query) {
-      return Object.values(this.plugin.screenshotIndex).filter((info) => !!info.lastOcrAttemptDate).sort((a, b) => (b.lastOcrAttemptDate || 0) - (a.lastOcrAttemptDate || 0)).slice(0, 20);
-    }
-    return this.plugin.searchScreenshots(query);
+  onOpen() {
+    this.render();
   }
-  renderSuggestion(info, el) {
-    let textSnippet = "(No OCR text available)";
-    const currentQuery = this.inputEl.value.toLowerCase();
-    if (info.ocrError) {
-      textSnippet = `(OCR Error: ${info.ocrError.substring(0, 100)})`;
-      el.createEl("div", { text: textSnippet });
-    } else if (info.ocrText) {
-      const ocrLower = info.ocrText.toLowerCase();
-      const matchIndex = currentQuery ? ocrLower.indexOf(currentQuery) : -1;
-      const snippetRadius = 60;
-      if (currentQuery && matchIndex !== -1) {
-        const startIndex = Math.max(0, matchIndex - snippetRadius);
-        const endIndex = Math.min(info.ocrText.length, matchIndex + currentQuery.length + snippetRadius);
-        let prefix = startIndex > 0 ? "..." : "";
-        let suffix = endIndex < info.ocrText.length ? "..." : "";
-        const rawSnippet = info.ocrText.substring(startIndex, endIndex);
-        const matchInSnippetIndex = rawSnippet.toLowerCase().indexOf(currentQuery);
-        if (matchInSnippetIndex !== -1) {
-          const highlightedSnippet = rawSnippet.substring(0, matchInSnippetIndex) + `<mark>${rawSnippet.substring(matchInSnippetIndex, matchInSnippetIndex + currentQuery.length)}</mark>` + rawSnippet.substring(matchInSnippetIndex + currentQuery.length);
-          el.createEl("div").innerHTML = prefix + highlightedSnippet + suffix;
-        } else {
-          el.createEl("div", { text: prefix + rawSnippet + suffix });
-        }
-      } else {
-        textSnippet = info.ocrText.substring(0, 120) + (info.ocrText.length > 120 ? "..." : "");
-        el.createEl("div", { text: textSnippet });
-      }
-    } else {
-      el.createEl("div", { text: textSnippet });
+  render() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass("artifacting-duplicates-modal");
+    contentEl.createEl("h2", { text: this.title });
+    if (this.clusters.length === 0) {
+      contentEl.createEl("p", { text: "No near-duplicates found above the similarity threshold." });
+      return;
     }
-    el.createEl("small", { text: `Image: ${info.imagePath}`, cls: "artifacting-search-result-path" });
-    if (info.notePath) {
-      el.createEl("small", { text: ` | Note: ${info.notePath}`, cls: "artifacting-search-result-path" });
+    const memberCount = this.clusters.reduce((sum, cluster) => sum + cluster.members.length, 0);
+    contentEl.createEl("p", { text: `${this.clusters.length} cluster(s) with ${memberCount} artifact(s).` });
+    for (const cluster of this.clusters.slice(0, this.shownCount))
+      this.renderCluster(contentEl, cluster);
+    if (this.clusters.length > this.shownCount) {
+      const moreButton = contentEl.createEl("button", { text: `Show ${Math.min(DUPLICATE_CLUSTERS_PER_PAGE, this.clusters.length - this.shownCount)} more` });
+      moreButton.onClickEvent(() => {
+        this.shownCount += DUPLICATE_CLUSTERS_PER_PAGE;
+        this.render();
+      });
     }
   }
-  async onChooseSuggestion(info, evt) {
-    new import_obsidian.Notice(`Opening related to: ${info.imagePath}`);
-    if (info.notePath) {
-      const noteFile = this.app.vault.getAbstractFileByPath(info.notePath);
-      if (noteFile instanceof import_obsidian.TFile) {
-        await this.app.workspace.getLeaf(false).openFile(noteFile);
-      } else {
-        console.warn(`Note path ${info.notePath} not found for image ${info.imagePath}, opening image directly.`);
-        await this.app.workspace.openLinkText(info.imagePath, "", false);
+  getMemberNote(member) {
+    if (!member.notePath || this.archivedPaths.has(member.notePath))
+      return null;
+    const noteFile = this.app.vault.getAbstractFileByPath(member.notePath);
+    return noteFile instanceof import_obsidian.TFile ? noteFile : null;
+  }
+  renderCluster(containerEl, cluster) {
+    const clusterEl = containerEl.createDiv({ cls: "artifacting-duplicate-cluster" });
+    const headerEl = clusterEl.createDiv({ cls: "artifacting-duplicate-cluster-header" });
+    headerEl.createEl("strong", { text: `${cluster.members.length} similar artifacts` });
+    const noteFiles = cluster.members.map((member) => this.getMemberNote(member)).filter(Boolean);
+    if (noteFiles.length >= 2) {
+      const mergeButton = headerEl.createEl("button", { text: `Merge ${noteFiles.length} notes...` });
+      mergeButton.onClickEvent(() => {
+        this.close();
+        new MergeNotesModal(this.app, this.plugin, noteFiles).open();
+      });
+    }
+    for (const member of cluster.members) {
+      const memberEl = clusterEl.createDiv({ cls: "artifacting-duplicate-member" });
+      const imageFile = member.imagePath ? this.app.vault.getAbstractFileByPath(member.imagePath) : null;
+      if (imageFile instanceof import_obsidian.TFile)
+        memberEl.createEl("img", { cls: "artifacting-duplicate-member-image", attr: { src: this.app.vault.getResourcePath(imageFile), alt: imageFile.name } });
+      memberEl.createDiv({ text: member.label, cls: "artifacting-duplicate-member-label" });
+      const metaEl = memberEl.createDiv({ cls: "artifacting-duplicate-member-meta" });
+      metaEl.createEl("small", { text: `${member.detail} \xB7 ${Math.round(member.similarity * 100)}% match` });
+      const openButton = metaEl.createEl("button", { text: "Open" });
+      openButton.onClickEvent(async () => {
+        this.close();
+        await member.open();
+      });
+      if (member.notePath && this.archivedPaths.has(member.notePath)) {
+        metaEl.createEl("small", { text: "Archived" });
+        continue;
+      }
+      const noteFile = this.getMemberNote(member);
+      if (noteFile) {
+        const archiveButton = metaEl.createEl("button", { text: "Archive note" });
+        archiveButton.onClickEvent(async () => {
+          if (await this.plugin.archiveNotes([noteFile]) > 0) {
+            this.archivedPaths.add(member.notePath);
+            this.render();
+          }
+        });
       }
-    } else {
-      await this.app.workspace.openLinkText(info.imagePath, "", false);
     }
   }
+  onClose() {
+    this.contentEl.empty();
+  }
 };
-var ArtifactingSettingTab = class extends import_obsidian.PluginSettingTab {
-  constructor(app, plugin) {
-    super(app, plugin);
-    this.plugin = plugin;
+var DuplicateScreenshotModal = class extends import_obsidian.Modal {
+  constructor(app, imageFile, match, onChoose) {
+    super(app);
+    this.imageFile = imageFile;
+    this.match = match;
+    this.onChoose = onChoose;
+    this.chosenAction = null;
   }
-  display() {
-    const { containerEl } = this;
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass("artifacting-duplicate-screenshot-modal");
+    contentEl.createEl("h2", { text: "Possible Duplicate Screenshot" });
+    contentEl.createEl("p", { text: `${this.imageFile.path} looks like ${this.match.entry.imagePath} (${Math.round((1 - this.match.distance / IMAGE_HASH_BITS) * 100)}% match), which already has the note ${this.match.entry.notePath}.` });
+    const imagesEl = contentEl.createDiv({ cls: "artifacting-duplicate-screenshot-images" });
+    for (const [caption, imagePath] of [["New", this.imageFile.path], ["Existing", this.match.entry.imagePath]]) {
+      const figureEl = imagesEl.createDiv({ cls: "artifacting-duplicate-screenshot-image" });
+      const imageFile = this.app.vault.getAbstractFileByPath(imagePath);
+      if (imageFile instanceof import_obsidian.TFile)
+        figureEl.createEl("img", { attr: { src: this.app.vault.getResourcePath(imageFile), alt: imageFile.name } });
+      figureEl.createEl("small", { text: `${caption}: ${imagePath}` });
+    }
+    const buttonsEl = contentEl.createDiv({ cls: "artifacting-duplicate-screenshot-buttons" });
+    for (const [action, label, description] of [
+      ["skip", "Skip", "Leave the new image in the input folder without a note and don't ask again."],
+      ["link", "Link to existing note", "Move the new image to the attachment folder and link it from the existing note."],
+      ["keep", "Keep both", "Create a separate note for the new image as usual."]
+    ]) {
+      const button = buttonsEl.createEl("button", { text: label, cls: action === "link" ? "mod-cta" : "" });
+      button.setAttr("title", description);
+      button.onClickEvent(() => {
+        this.chosenAction = action;
+        this.close();
+      });
+    }
+    contentEl.createEl("small", { text: 'Closing this dialog leaves the image unprocessed. It is not offered again automatically until Obsidian restarts; run "Process New Screenshots" to handle it sooner.', cls: "setting-item-description" });
+  }
+  onClose() {
+    this.contentEl.empty();
+    this.onChoose(this.chosenAction);
+  }
+};
+var LoomSearchModal = class extends import_obsidian.SuggestModal {
+  constructor(app, plugin, mode = "node") {
+    super(app);
+    this.plugin = plugin;
+    this.mode = mode;
+    this.setPlaceholder(mode === "path" ? "Search loom transcripts across nodes... (root-to-node paths)" : "Search loom node text... (words are ANDed; use OR to match any)");
+    this.setInstructions([
+      { command: "\u21B5", purpose: "switch Loomsidian to node" },
+      { command: "ctrl/cmd \u21B5", purpose: "open in tree explorer" },
+      { command: "shift \u21B5", purpose: "promote to note (or open its note)" },
+      ...getQueryFilterInstructions(LOOM_QUERY_FILTERS)
+    ]);
+    this.suggestionValues = /* @__PURE__ */ new WeakMap();
+    this.scope.register(["Mod"], "Enter", (evt) => this.chooseSelectedSuggestion(evt));
+    this.scope.register(["Shift"], "Enter", (evt) => this.chooseSelectedSuggestion(evt));
+  }
+  chooseSelectedSuggestion(evt) {
+    const selectedEl = this.resultContainerEl.querySelector(".suggestion-item.is-selected");
+    const value = selectedEl && this.suggestionValues.get(selectedEl);
+    if (value)
+      this.selectSuggestion(value, evt);
+    return false;
+  }
+  getSuggestions(query) {
+    if (!query.trim()) {
+      return Object.values(this.plugin.index).sort((a, b) => b.id > a.id ? -1 : 1).slice(0, 20).map((node) => ({ node, score: 0, matchedTerms: /* @__PURE__ */ new Set() }));
+    }
+    const results = this.mode === "path" ? this.plugin.searchLoomPaths(query) : this.plugin.searchLoomIndex(query);
+    return [...getQueryFilterHints(query, LOOM_QUERY_FILTERS), ...results];
+  }
+  selectSuggestion(value, evt) {
+    if (value.isFilterHint) {
+      applyQueryFilterHint(this.inputEl, value);
+      return;
+    }
+    super.selectSuggestion(value, evt);
+  }
+  renderSuggestion(result, el) {
+    this.suggestionValues.set(el, result);
+    if (result.isFilterHint) {
+      renderQueryFilterHint(result, el);
+      return;
+    }
+    const { node, matchedTerms } = result;
+    if (result.pathSpanIds) {
+      this.renderPathSpan(result, el);
+      return;
+    }
+    const textEl = el.createDiv();
+    renderHighlightedSnippet(textEl, node.text, matchedTerms);
+    el.createEl("small", { text: node.documentPath, cls: "loom-search-result-path" });
+    this.renderNotePath(node, el);
+  }
+  renderNotePath(node, el) {
+    const notePath = this.plugin.getLoomNodeNotePath(node.id);
+    if (notePath)
+      el.createEl("small", { text: ` | Note: ${notePath}`, cls: "loom-search-result-path" });
+  }
+  renderPathSpan(result, el) {
+    const { node, matchedTerms, pathSpanIds } = result;
+    const textEl = el.createDiv({ cls: "artifacting-loom-path-match" });
+    const shownIds = pathSpanIds.length > 4 ? [...pathSpanIds.slice(0, 2), null, ...pathSpanIds.slice(-2)] : pathSpanIds;
+    shownIds.forEach((nodeId, index) => {
+      if (index > 0)
+        textEl.createSpan({ text: " \u2502 ", cls: "artifacting-loom-path-boundary" });
+      if (nodeId === null) {
+        textEl.createSpan({ text: `\u2026 ${pathSpanIds.length - 4} more node(s) \u2026`, cls: "artifacting-loom-path-boundary" });
+        return;
+      }
+      const spanNode = this.plugin.index[nodeId];
+      if (spanNode)
+        renderHighlightedSnippet(textEl.createSpan({ cls: nodeId === node.id ? "artifacting-loom-path-end" : "" }), spanNode.text, matchedTerms, 40, 60);
+    });
+    const depth = this.plugin.getLoomNodeDepth(node.id);
+    const spanText = pathSpanIds.length > 1 ? `path match across depth ${depth - pathSpanIds.length + 1}\u2013${depth} (${pathSpanIds.length} nodes)` : `match within node at depth ${depth}`;
+    el.createEl("small", { text: `${node.documentPath} \xB7 ${spanText}`, cls: "loom-search-result-path" });
+    this.renderNotePath(node, el);
+  }
+  async onChooseSuggestion(result, evt) {
+    const { node } = result;
+    console.log("Chosen loom suggestion:", node);
+    if (evt && (evt.ctrlKey || evt.metaKey)) {
+      await this.plugin.openLoomTreeView(node.id);
+    } else if (evt && evt.shiftKey) {
+      await this.plugin.promoteLoomNodeToNote(node);
+    } else {
+      this.plugin.openLoomNodeInLoomsidian(node);
+    }
+  }
+};
+var ScreenshotSearchModal = class extends import_obsidian.SuggestModal {
+  constructor(app, plugin) {
+    super(app);
+    this.plugin = plugin;
+    this.setPlaceholder("Search OCR text in images...");
+    this.setInstructions(getQueryFilterInstructions(SCREENSHOT_QUERY_FILTERS));
+    this.searchIndex = plugin.buildScreenshotSearchIndex();
+  }
+  getSuggestions(query) {
+    if (!query.trim()) {
+      return Object.values(this.plugin.screenshotIndex).filter((info) => !!info.lastOcrAttemptDate).sort((a, b) => (b.lastOcrAttemptDate || 0) - (a.lastOcrAttemptDate || 0)).slice(0, 20).map((info) => ({ info, score: 0, matchedTerms: /* @__PURE__ */ new Set() }));
+    }
+    return [...getQueryFilterHints(query, SCREENSHOT_QUERY_FILTERS), ...this.plugin.searchScreenshots(query, this.searchIndex)];
+  }
+  selectSuggestion(value, evt) {
+    if (value.isFilterHint) {
+      applyQueryFilterHint(this.inputEl, value);
+      return;
+    }
+    super.selectSuggestion(value, evt);
+  }
+  renderSuggestion(result, el) {
+    if (result.isFilterHint) {
+      renderQueryFilterHint(result, el);
+      return;
+    }
+    const { info, matchedTerms } = result;
+    if (info.ocrError) {
+      el.createEl("div", { text: `(OCR Error${info.ocrAttempts > 1 ? ` after ${info.ocrAttempts} attempts` : ""}: ${info.ocrError.substring(0, 100)})` });
+    } else if (info.ocrText) {
+      renderHighlightedSnippet(el.createDiv(), info.ocrText, matchedTerms, 60, 120);
+    } else {
+      el.createEl("div", { text: "(No OCR text available)" });
+    }
+    el.createEl("small", { text: `Image: ${info.imagePath}`, cls: "artifacting-search-result-path" });
+    if (info.ocrEngine && OCR_ENGINES[info.ocrEngine]) {
+      el.createEl("small", { text: ` | OCR: ${OCR_ENGINES[info.ocrEngine].label}`, cls: "artifacting-search-result-path" });
+    }
+    if (info.notePath) {
+      el.createEl("small", { text: ` | Note: ${info.notePath}`, cls: "artifacting-search-result-path" });
+    }
+  }
+  async onChooseSuggestion(result, evt) {
+    const { info } = result;
+    new import_obsidian.Notice(`Opening related to: ${info.imagePath}`);
+    if (info.notePath) {
+      const noteFile = this.app.vault.getAbstractFileByPath(info.notePath);
+      if (noteFile instanceof import_obsidian.TFile) {
+        await this.app.workspace.getLeaf(false).openFile(noteFile);
+      } else {
+        console.warn(`Note path ${info.notePath} not found for image ${info.imagePath}, opening image directly.`);
+        await this.app.workspace.openLinkText(info.imagePath, "", false);
+      }
+    } else {
+      await this.app.workspace.openLinkText(info.imagePath, "", false);
+    }
+  }
+};
+var CANVAS_CARD_WIDTH = 400;
+var CANVAS_GAP_X = 40;
+var CANVAS_GAP_Y = 80;
+var CANVAS_BOOKMARK_COLOR = "4";
+var CANVAS_CURRENT_COLOR = "5";
+function getLoomChildrenMap(nodes) {
+  const childrenMap = /* @__PURE__ */ new Map();
+  const rootIds = [];
+  for (const [nodeId, node] of Object.entries(nodes)) {
+    if (node.parentId && nodes[node.parentId]) {
+      const siblings = childrenMap.get(node.parentId);
+      if (siblings)
+        siblings.push(nodeId);
+      else
+        childrenMap.set(node.parentId, [nodeId]);
+    } else {
+      rootIds.push(nodeId);
+    }
+  }
+  return { childrenMap, rootIds };
+}
+function estimateCanvasCardHeight(text) {
+  const charsPerLine = 48;
+  const lineCount = (text || "").split("\n").reduce((count, line) => count + Math.max(1, Math.ceil(line.length / charsPerLine)), 0);
+  return Math.min(600, 60 + lineCount * 24);
+}
+function buildLoomCanvasData(nodes, currentId) {
+  const { childrenMap, rootIds } = getLoomChildrenMap(nodes);
+  const depths = /* @__PURE__ */ new Map();
+  const slots = /* @__PURE__ */ new Map();
+  const rowHeights = [];
+  let nextLeafSlot = 0;
+  const stack = rootIds.slice().reverse().map((id) => ({ id, depth: 0, expanded: false }));
+  const visited = /* @__PURE__ */ new Set();
+  while (stack.length > 0) {
+    const entry = stack[stack.length - 1];
+    const children = (childrenMap.get(entry.id) || []).filter((childId) => !visited.has(childId));
+    if (!entry.expanded) {
+      entry.expanded = true;
+      visited.add(entry.id);
+      depths.set(entry.id, entry.depth);
+      rowHeights[entry.depth] = Math.max(rowHeights[entry.depth] || 0, estimateCanvasCardHeight(nodes[entry.id].text));
+      if (children.length > 0) {
+        for (let i = children.length - 1; i >= 0; i--)
+          stack.push({ id: children[i], depth: entry.depth + 1, expanded: false });
+        continue;
+      }
+    }
+    stack.pop();
+    const placedChildren = (childrenMap.get(entry.id) || []).filter((childId) => slots.has(childId) && depths.get(childId) === entry.depth + 1);
+    if (placedChildren.length === 0) {
+      slots.set(entry.id, nextLeafSlot++);
+    } else {
+      slots.set(entry.id, (slots.get(placedChildren[0]) + slots.get(placedChildren[placedChildren.length - 1])) / 2);
+    }
+  }
+  const rowOffsets = [0];
+  for (let depth = 1; depth < rowHeights.length; depth++) {
+    rowOffsets[depth] = rowOffsets[depth - 1] + rowHeights[depth - 1] + CANVAS_GAP_Y;
+  }
+  const currentPath = new Set(currentId ? getLoomAncestorIds(nodes, currentId) : []);
+  const canvasNodes = [];
+  const canvasEdges = [];
+  for (const [nodeId, slot] of slots) {
+    const node = nodes[nodeId];
+    const depth = depths.get(nodeId);
+    const canvasNode = {
+      id: nodeId,
+      type: "text",
+      text: node.text || "",
+      x: Math.round(slot * (CANVAS_CARD_WIDTH + CANVAS_GAP_X)),
+      y: rowOffsets[depth],
+      width: CANVAS_CARD_WIDTH,
+      height: estimateCanvasCardHeight(node.text)
+    };
+    if (node.bookmarked)
+      canvasNode.color = CANVAS_BOOKMARK_COLOR;
+    else if (nodeId === currentId)
+      canvasNode.color = CANVAS_CURRENT_COLOR;
+    canvasNodes.push(canvasNode);
+    if (node.parentId && slots.has(node.parentId)) {
+      const edge = { id: `edge-${nodeId}`, fromNode: node.parentId, fromSide: "bottom", toNode: nodeId, toSide: "top" };
+      if (currentPath.has(nodeId))
+        edge.color = CANVAS_CURRENT_COLOR;
+      canvasEdges.push(edge);
+    }
+  }
+  return { nodes: canvasNodes, edges: canvasEdges };
+}
+function escapeHtml(text) {
+  return (text || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+var LOOM_HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #222; background: #fff; }
+@media (prefers-color-scheme: dark) { body { color: #ddd; background: #1e1e1e; } .node { border-color: #444 !important; } }
+.toolbar { position: sticky; top: 0; padding: 0.5em 0; background: inherit; display: flex; gap: 0.5em; align-items: center; }
+.toolbar input { flex: 1; padding: 0.4em; }
+ul { list-style: none; padding-left: 1.2em; margin: 0; }
+ul.chain { padding-left: 0; }
+.node { white-space: pre-wrap; border-left: 3px solid #ccc; padding: 0.2em 0.6em; margin: 0.2em 0; }
+.node.current-path { border-left-color: #3b82f6; }
+.node.bookmarked { border-left-color: #16a34a; background: rgba(22, 163, 74, 0.08); }
+.node.hidden-by-search { display: none; }
+summary { cursor: pointer; color: #888; font-size: 0.9em; }
+mark { background: #fde047; color: inherit; }
+`;
+var LOOM_HTML_SCRIPT = `
+(function () {
+  var input = document.getElementById("loom-search");
+  var onlyMatches = document.getElementById("loom-only-matches");
+  var status = document.getElementById("loom-search-status");
+  var nodes = Array.prototype.slice.call(document.querySelectorAll(".node"));
+  nodes.forEach(function (el) { el.dataset.text = el.textContent; });
+  function escapeHtml(text) { return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;"); }
+  function run() {
+    var query = input.value.trim().toLowerCase();
+    var count = 0;
+    nodes.forEach(function (el) {
+      var text = el.dataset.text;
+      var index = query ? text.toLowerCase().indexOf(query) : -1;
+      if (index === -1) {
+        el.innerHTML = escapeHtml(text);
+        el.classList.toggle("hidden-by-search", !!query && onlyMatches.checked);
+        return;
+      }
+      count++;
+      var html = "", cursor = 0, lower = text.toLowerCase();
+      while (index !== -1) {
+        html += escapeHtml(text.slice(cursor, index)) + "<mark>" + escapeHtml(text.slice(index, index + query.length)) + "</mark>";
+        cursor = index + query.length;
+        index = lower.indexOf(query, cursor);
+      }
+      el.innerHTML = html + escapeHtml(text.slice(cursor));
+      el.classList.remove("hidden-by-search");
+      for (var parent = el.parentElement; parent; parent = parent.parentElement) {
+        if (parent.tagName === "DETAILS") parent.open = true;
+      }
+    });
+    status.textContent = query ? count + " matching node(s)" : "";
+  }
+  input.addEventListener("input", run);
+  onlyMatches.addEventListener("change", run);
+  document.getElementById("loom-expand").addEventListener("click", function () {
+    document.querySelectorAll("details").forEach(function (d) { d.open = true; });
+  });
+  document.getElementById("loom-collapse").addEventListener("click", function () {
+    document.querySelectorAll("details").forEach(function (d) { d.open = false; });
+  });
+})();
+`;
+function buildLoomHtmlDocument(title, nodes, currentId) {
+  const { childrenMap, rootIds } = getLoomChildrenMap(nodes);
+  const currentPath = new Set(currentId ? getLoomAncestorIds(nodes, currentId) : []);
+  const visited = /* @__PURE__ */ new Set();
+  const renderNode = (nodeId) => {
+    const node = nodes[nodeId];
+    const classes = ["node"];
+    if (currentPath.has(nodeId))
+      classes.push("current-path");
+    if (node.bookmarked)
+      classes.push("bookmarked");
+    return `<li><div class="${classes.join(" ")}" id="node-${escapeHtml(nodeId)}" title="${escapeHtml(nodeId)}">${escapeHtml(node.text)}</div></li>`;
+  };
+  const renderChain = (startId) => {
+    let html = '<ul class="chain">';
+    let nodeId = startId;
+    while (nodeId && !visited.has(nodeId)) {
+      visited.add(nodeId);
+      html += renderNode(nodeId);
+      const children = (childrenMap.get(nodeId) || []).filter((childId) => !visited.has(childId));
+      if (children.length === 1) {
+        nodeId = children[0];
+        continue;
+      }
+      if (children.length > 1) {
+        html += "<li><ul>";
+        children.forEach((childId, index) => {
+          const open = currentPath.has(childId) || currentPath.size === 0 && index === 0;
+          html += `<li><details${open ? " open" : ""}><summary>Branch ${index + 1} of ${children.length}${currentPath.has(childId) ? " (current path)" : ""}</summary>${renderChain(childId)}</details></li>`;
+        });
+        html += "</ul></li>";
+      }
+      nodeId = null;
+    }
+    return html + "</ul>";
+  };
+  const body = rootIds.map((rootId) => renderChain(rootId)).join("");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} \u2013 Loom</title>
+<style>${LOOM_HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${Object.keys(nodes).length} nodes \xB7 exported ${(/* @__PURE__ */ new Date()).toISOString()} \xB7 green = bookmarked, blue = current path</p>
+<div class="toolbar">
+<input id="loom-search" type="search" placeholder="Search nodes...">
+<label><input id="loom-only-matches" type="checkbox"> Only matches</label>
+<button id="loom-expand">Expand all</button>
+<button id="loom-collapse">Collapse all</button>
+<span id="loom-search-status"></span>
+</div>
+${body}
+<script>${LOOM_HTML_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+var LOOM_BRANCH_EXPORT_MODES = {
+  current: "current path only",
+  all: "every leaf-to-root branch",
+  bookmarked: "root-to-bookmark branches",
+  skip: "skip this document"
+};
+function getLoomBranchEndIds(nodes, branchMode) {
+  if (branchMode === "all") {
+    const { childrenMap } = getLoomChildrenMap(nodes);
+    return Object.keys(nodes).filter((nodeId) => !childrenMap.has(nodeId));
+  }
+  if (branchMode === "bookmarked") {
+    return Object.keys(nodes).filter((nodeId) => !!nodes[nodeId].bookmarked);
+  }
+  return [];
+}
+function remapVaultPath(path, oldPath, newPath) {
+  if (path === oldPath)
+    return newPath;
+  if (path.startsWith(`${oldPath}/`))
+    return newPath + path.substring(oldPath.length);
+  return null;
+}
+function isVaultPathAtOrBelow(path, basePath) {
+  return path === basePath || path.startsWith(`${basePath}/`);
+}
+function getLoomExportBaseName(documentKey, allDocumentKeys) {
+  const baseNameOf = (key) => key.split("/").pop().replace(/\.(md|json)$/, "");
+  const baseName = baseNameOf(documentKey);
+  const isDuplicate = allDocumentKeys.some((otherKey) => otherKey !== documentKey && baseNameOf(otherKey) === baseName);
+  return isDuplicate ? documentKey.replace(/\.(md|json)$/, "").replace(/[\/:]/g, " - ") : baseName;
+}
+var LoomBatchExportModal = class extends import_obsidian.Modal {
+  constructor(app, plugin, documentKeys) {
+    super(app);
+    this.defaultBranchMode = "all";
+    this.branchModeOverrides = {};
+    this.plugin = plugin;
+    this.documentKeys = documentKeys;
+  }
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Export All Looms" });
+    contentEl.createEl("p", { text: `${this.documentKeys.length} document(s) with Loom data. Each gets its .loomartifact files, branch notes and an index note in ${this.plugin.settings.loomExportsFolderPath}. Existing exports are updated.` });
+    new import_obsidian.Setting(contentEl).setName("Branches to export").setDesc("Default for every document.").addDropdown((dropdown) => {
+      for (const [value, label] of Object.entries(LOOM_BRANCH_EXPORT_MODES)) {
+        if (value !== "skip")
+          dropdown.addOption(value, label);
+      }
+      dropdown.setValue(this.defaultBranchMode).onChange((value) => {
+        this.defaultBranchMode = value;
+      });
+    });
+    contentEl.createEl("h4", { text: "Per-document overrides" });
+    const listEl = contentEl.createDiv({ cls: "artifacting-scrollable-list" });
+    listEl.style.maxHeight = "300px";
+    listEl.style.overflowY = "auto";
+    for (const documentKey of this.documentKeys) {
+      new import_obsidian.Setting(listEl).setName(documentKey).addDropdown((dropdown) => {
+        dropdown.addOption("", "Use default");
+        for (const [value, label] of Object.entries(LOOM_BRANCH_EXPORT_MODES))
+          dropdown.addOption(value, label);
+        dropdown.setValue("").onChange((value) => {
+          if (value)
+            this.branchModeOverrides[documentKey] = value;
+          else
+            delete this.branchModeOverrides[documentKey];
+        });
+      });
+    }
+    const exportButton = contentEl.createEl("button", { text: "Export", cls: "mod-cta" });
+    exportButton.onClickEvent(async () => {
+      exportButton.disabled = true;
+      this.close();
+      await this.plugin.exportAllLoomDocuments(this.defaultBranchMode, this.branchModeOverrides);
+    });
+  }
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+};
+var FileSuggestModal = class extends import_obsidian.FuzzySuggestModal {
+  constructor(app, files, placeholder, onChoose) {
+    super(app);
+    this.files = files;
+    this.onChoose = onChoose;
+    this.setPlaceholder(placeholder);
+  }
+  getItems() {
+    return this.files;
+  }
+  getItemText(file) {
+    return file.path;
+  }
+  onChooseItem(file, evt) {
+    this.onChoose(file);
+  }
+};
+var LOOM_IMPORT_STRATEGIES = {
+  merge: "Merge: add new nodes; identical nodes are shared, conflicting nodes are added as a new branch with their descendants",
+  "new-root": "Import as new root: every imported node gets a new ID, alongside the existing tree",
+  replace: "Replace: the document's loom is replaced by the imported tree"
+};
+function generateLoomNodeId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+    const r = Math.random() * 16 | 0;
+    return (c === "x" ? r : r & 3 | 8).toString(16);
+  });
+}
+function analyzeLoomArtifactImport(artifact, loomData, targetDocPath) {
+  const targetNodes = loomData.state[targetDocPath] && loomData.state[targetDocPath].nodes || {};
+  const otherDocumentIds = /* @__PURE__ */ new Set();
+  for (const [documentPath, docState] of Object.entries(loomData.state)) {
+    if (documentPath === targetDocPath || !docState || !docState.nodes)
+      continue;
+    for (const nodeId of Object.keys(docState.nodes))
+      otherDocumentIds.add(nodeId);
+  }
+  const analysis = { importedCount: 0, targetExistingCount: Object.keys(targetNodes).length, identicalInTarget: [], conflictingInTarget: [], collidingElsewhere: [] };
+  for (const [nodeId, node] of Object.entries(artifact.nodes)) {
+    analysis.importedCount++;
+    const existing = targetNodes[nodeId];
+    if (existing) {
+      if (existing.text === node.text && (existing.parentId || null) === (node.parentId || null))
+        analysis.identicalInTarget.push(nodeId);
+      else
+        analysis.conflictingInTarget.push(nodeId);
+    }
+    if (otherDocumentIds.has(nodeId))
+      analysis.collidingElsewhere.push(nodeId);
+  }
+  return analysis;
+}
+function buildImportedLoomDocState(artifact, existingDocState, analysis, strategy) {
+  const idMap = /* @__PURE__ */ new Map();
+  const collidingElsewhere = new Set(analysis.collidingElsewhere);
+  const conflictingInTarget = new Set(analysis.conflictingInTarget);
+  const needsNewId = /* @__PURE__ */ new Set();
+  for (const nodeId of Object.keys(artifact.nodes)) {
+    if (strategy === "new-root" || collidingElsewhere.has(nodeId) || strategy === "merge" && conflictingInTarget.has(nodeId))
+      needsNewId.add(nodeId);
+  }
+  if (strategy === "merge" && needsNewId.size > 0) {
+    const childIds = /* @__PURE__ */ new Map();
+    for (const [nodeId, node] of Object.entries(artifact.nodes)) {
+      if (!node.parentId)
+        continue;
+      if (!childIds.has(node.parentId))
+        childIds.set(node.parentId, []);
+      childIds.get(node.parentId).push(nodeId);
+    }
+    const stack = [...needsNewId];
+    while (stack.length > 0) {
+      for (const childId of childIds.get(stack.pop()) || []) {
+        if (!needsNewId.has(childId)) {
+          needsNewId.add(childId);
+          stack.push(childId);
+        }
+      }
+    }
+  }
+  for (const nodeId of Object.keys(artifact.nodes))
+    idMap.set(nodeId, needsNewId.has(nodeId) ? generateLoomNodeId() : nodeId);
+  const importedNodes = {};
+  for (const [nodeId, node] of Object.entries(artifact.nodes)) {
+    const parentId = node.parentId ? idMap.get(node.parentId) || null : null;
+    importedNodes[idMap.get(nodeId)] = { ...node, parentId };
+  }
+  const mappedCurrent = artifact.current && idMap.has(artifact.current) ? idMap.get(artifact.current) : null;
+  const baseState = existingDocState || { current: null, hoisted: [], searchTerm: "", nodes: {} };
+  if (strategy === "replace" || !existingDocState) {
+    return { state: { ...baseState, current: mappedCurrent || Object.keys(importedNodes)[0] || null, hoisted: [], nodes: importedNodes }, idMap };
+  }
+  const mergedNodes = { ...baseState.nodes };
+  for (const [nodeId, node] of Object.entries(importedNodes)) {
+    if (!mergedNodes[nodeId])
+      mergedNodes[nodeId] = node;
+  }
+  return { state: { ...baseState, current: baseState.current || mappedCurrent, nodes: mergedNodes }, idMap };
+}
+var LoomImportModal = class extends import_obsidian.Modal {
+  constructor(app, plugin, artifactFile, artifact, loomData, targetDocPath) {
+    super(app);
+    this.strategy = "merge";
+    this.reloadLoomsidian = true;
+    this.plugin = plugin;
+    this.artifactFile = artifactFile;
+    this.artifact = artifact;
+    this.loomData = loomData;
+    this.targetDocPath = targetDocPath;
+  }
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Import Loom Artifact" });
+    const analysis = analyzeLoomArtifactImport(this.artifact, this.loomData, this.targetDocPath);
+    contentEl.createEl("p", { text: `Artifact: ${this.artifactFile.path} (${analysis.importedCount} nodes)` });
+    contentEl.createEl("p", { text: `Target document: ${this.targetDocPath} (${analysis.targetExistingCount > 0 ? `${analysis.targetExistingCount} existing nodes` : "no existing loom"})` });
+    const collisionsEl = contentEl.createEl("ul");
+    collisionsEl.createEl("li", { text: `${analysis.identicalInTarget.length} node ID(s) already in the document with identical content` });
+    collisionsEl.createEl("li", { text: `${analysis.conflictingInTarget.length} node ID(s) already in the document with different content` });
+    collisionsEl.createEl("li", { text: `${analysis.collidingElsewhere.length} node ID(s) used by other documents (always given new IDs)` });
+    new import_obsidian.Setting(contentEl).setName("Import mode").addDropdown((dropdown) => {
+      for (const [value, label] of Object.entries(LOOM_IMPORT_STRATEGIES))
+        dropdown.addOption(value, label);
+      dropdown.setValue(this.strategy).onChange((value) => {
+        this.strategy = value;
+      });
+    });
+    if (this.plugin.isLoomsidianLoaded()) {
+      new import_obsidian.Setting(contentEl).setName("Reload Loomsidian after import").setDesc("Loomsidian keeps its data in memory and would overwrite the import on its next save unless it is reloaded.").addToggle((toggle) => toggle.setValue(this.reloadLoomsidian).onChange((value) => {
+        this.reloadLoomsidian = value;
+      }));
+    }
+    contentEl.createEl("p", { text: "A backup of Loomsidian's data.json is taken before anything is written." });
+    const importButton = contentEl.createEl("button", { text: "Import", cls: "mod-cta" });
+    importButton.onClickEvent(async () => {
+      importButton.disabled = true;
+      await this.plugin.importLoomArtifact(this.artifact, this.targetDocPath, this.strategy, this.reloadLoomsidian && this.plugin.isLoomsidianLoaded());
+      this.close();
+    });
+  }
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+};
+var LOOM_TREE_VIEW_TYPE = "artifacting-loom-tree";
+function getLoomAncestorIds(nodesMap, nodeId) {
+  const ids = [];
+  const visited = /* @__PURE__ */ new Set();
+  let currentId = nodeId;
+  while (currentId && !visited.has(currentId)) {
+    const node = nodesMap[currentId];
+    if (!node) {
+      console.warn(`Node ${currentId} not found while reconstructing loom path.`);
+      break;
+    }
+    visited.add(currentId);
+    ids.push(currentId);
+    currentId = node.parentId;
+  }
+  return ids.reverse();
+}
+function getLoomNodeLabel(text, maxLength = 40) {
+  const singleLine = (text || "").replace(/\s+/g, " ").trim();
+  if (!singleLine)
+    return "(empty)";
+  return singleLine.length > maxLength ? singleLine.substring(0, maxLength) + "..." : singleLine;
+}
+var LoomTreeView = class extends import_obsidian.ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.nodeId = null;
+    this.snapshotSource = null;
+    this.snapshot = null;
+    this.plugin = plugin;
+  }
+  getViewType() {
+    return LOOM_TREE_VIEW_TYPE;
+  }
+  getDisplayText() {
+    return "Loom Tree Explorer";
+  }
+  getIcon() {
+    return "git-fork";
+  }
+  getState() {
+    return { nodeId: this.nodeId, snapshotSource: this.snapshotSource };
+  }
+  async setState(state, result) {
+    this.nodeId = state && state.nodeId ? state.nodeId : null;
+    const snapshotSource = state && state.snapshotSource ? state.snapshotSource : null;
+    if (snapshotSource !== this.snapshotSource || snapshotSource && !this.snapshot) {
+      this.snapshotSource = snapshotSource;
+      this.snapshot = snapshotSource ? await this.plugin.loadLoomSnapshot(snapshotSource) : null;
+    }
+    this.render();
+    await super.setState(state, result);
+  }
+  async onOpen() {
+    this.render();
+  }
+  async onClose() {
+    this.contentEl.empty();
+  }
+  getNodesMap() {
+    return this.snapshot ? this.snapshot.index : this.plugin.index;
+  }
+  getNode(nodeId) {
+    return this.getNodesMap()[nodeId];
+  }
+  getChildIds(nodeId) {
+    if (this.snapshot)
+      return this.snapshot.childIdsMap.get(nodeId) || [];
+    return this.plugin.getLoomChildIds(nodeId);
+  }
+  getRootIds(documentPath, sourceId) {
+    return Object.values(this.getNodesMap()).filter((node) => node.documentPath === documentPath && node.sourceId === sourceId && (!node.parentId || !this.getNode(node.parentId))).map((node) => node.id);
+  }
+  canSwitchLoomsidian(node) {
+    return !this.snapshotSource && node.sourceId === LOOM_PRIMARY_SOURCE_ID && this.plugin.isLoomsidianLoaded();
+  }
+  showNode(nodeId) {
+    this.nodeId = nodeId;
+    this.render();
+    this.app.workspace.requestSaveLayout();
+  }
+  render() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass("artifacting-loom-tree-view");
+    if (this.snapshotSource) {
+      const snapshotEl = contentEl.createDiv({ cls: "artifacting-loom-tree-snapshot" });
+      snapshotEl.createSpan({ text: this.snapshot ? `Viewing backup ${getLoomSourceLabel(this.snapshotSource)}` : `Backup ${getLoomSourceLabel(this.snapshotSource)} could not be read.` });
+      const liveButton = snapshotEl.createEl("button", { text: "Show live index" });
+      liveButton.onClickEvent(() => this.plugin.openLoomTreeView(this.nodeId));
+    }
+    const node = this.nodeId ? this.getNode(this.nodeId) : null;
+    if (!node) {
+      contentEl.createEl("p", { text: this.nodeId ? `Node ${this.nodeId} is not in ${this.snapshotSource ? "this backup" : "the Loom index"}.` : 'No node selected. Choose a result in "Search Looms" to explore it here.' });
+      return;
+    }
+    const nodesMap = this.getNodesMap();
+    const ancestorIds = getLoomAncestorIds(nodesMap, node.id);
+    const header = contentEl.createDiv({ cls: "artifacting-loom-tree-header" });
+    header.createEl("h4", { text: node.documentPath });
+    header.createEl("small", { text: `Node ${getLoomSourceNodeId(node)} \xB7 depth ${ancestorIds.length - 1}${node.bookmarked ? " \xB7 \u2605 bookmarked" : ""}${node.sourceId !== LOOM_PRIMARY_SOURCE_ID ? ` \xB7 ${this.plugin.getLoomSourceName(node.sourceId)}` : ""}` });
+    if (this.canSwitchLoomsidian(node)) {
+      const switchButton = header.createEl("button", { text: "Open in Loomsidian" });
+      switchButton.onClickEvent(() => this.plugin.openLoomNodeInLoomsidian(node));
+    }
+    if (!this.snapshotSource) {
+      const promoteButton = header.createEl("button", { text: this.plugin.getLoomNodeNotePath(node.id) ? "Open note" : "Promote to note" });
+      promoteButton.onClickEvent(() => this.plugin.promoteLoomNodeToNote(node));
+    }
+    const breadcrumbEl = contentEl.createDiv({ cls: "artifacting-loom-tree-breadcrumb" });
+    ancestorIds.forEach((ancestorId, index) => {
+      if (index > 0)
+        breadcrumbEl.createSpan({ text: " \u203A " });
+      const ancestor = nodesMap[ancestorId];
+      const crumb = breadcrumbEl.createSpan({ text: getLoomNodeLabel(ancestor.text, 24), cls: ancestorId === node.id ? "is-active" : "is-clickable" });
+      if (ancestorId !== node.id)
+        crumb.onClickEvent(() => this.showNode(ancestorId));
+    });
+    const siblingIds = (node.parentId && this.getNode(node.parentId) ? this.getChildIds(node.parentId) : this.getRootIds(node.documentPath, node.sourceId)).filter((id) => id !== node.id);
+    this.renderNodeList(contentEl, siblingIds.length > 0 ? `Siblings (${siblingIds.length})` : "Siblings", siblingIds, "No alternative siblings.");
+    this.renderNodeList(contentEl, "Continuations", this.getChildIds(node.id), "This node has no children.");
+    const branchPointsEl = contentEl.createDiv({ cls: "artifacting-loom-tree-section" });
+    branchPointsEl.createEl("h5", { text: "Alternative branches further up this path" });
+    let branchPointCount = 0;
+    for (let i = 0; i < ancestorIds.length - 2; i++) {
+      const alternatives = this.getChildIds(ancestorIds[i]).filter((id) => id !== ancestorIds[i + 1]);
+      if (alternatives.length === 0)
+        continue;
+      branchPointCount++;
+      branchPointsEl.createEl("small", { text: `After "${getLoomNodeLabel(nodesMap[ancestorIds[i]].text, 30)}" (depth ${i}):` });
+      this.renderNodeItems(branchPointsEl.createEl("ul"), alternatives);
+    }
+    if (branchPointCount === 0)
+      branchPointsEl.createEl("p", { text: "No other branches split off above the parent node." });
+    const pathEl = contentEl.createDiv({ cls: "artifacting-loom-tree-section" });
+    pathEl.createEl("h5", { text: "Full path text" });
+    const pathTextEl = pathEl.createDiv({ cls: "artifacting-loom-tree-path-text" });
+    for (const ancestorId of ancestorIds) {
+      const segment = pathTextEl.createSpan({ text: nodesMap[ancestorId].text, cls: ancestorId === node.id ? "artifacting-loom-tree-current-segment" : "artifacting-loom-tree-segment" });
+      if (ancestorId !== node.id) {
+        segment.setAttr("title", "Show this node");
+        segment.onClickEvent(() => this.showNode(ancestorId));
+      }
+    }
+  }
+  renderNodeList(containerEl, title, nodeIds, emptyText) {
+    const sectionEl = containerEl.createDiv({ cls: "artifacting-loom-tree-section" });
+    sectionEl.createEl("h5", { text: title });
+    if (nodeIds.length === 0) {
+      sectionEl.createEl("p", { text: emptyText });
+      return;
+    }
+    this.renderNodeItems(sectionEl.createEl("ul"), nodeIds);
+  }
+  renderNodeItems(listEl, nodeIds) {
+    for (const nodeId of nodeIds) {
+      const item = this.getNode(nodeId);
+      if (!item)
+        continue;
+      const childCount = this.getChildIds(nodeId).length;
+      const label = `${item.bookmarked ? "\u2605 " : ""}${getLoomNodeLabel(item.text, 80)}${childCount > 0 ? ` (${childCount} below)` : ""}`;
+      const listItem = listEl.createEl("li", { text: label, cls: "is-clickable" });
+      listItem.onClickEvent(() => this.showNode(nodeId));
+    }
+  }
+};
+var LOOM_BOOKMARKS_VIEW_TYPE = "artifacting-loom-bookmarks";
+var LoomBookmarksView = class extends import_obsidian.ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.filterText = "";
+    this.listEl = null;
+    this.plugin = plugin;
+  }
+  getViewType() {
+    return LOOM_BOOKMARKS_VIEW_TYPE;
+  }
+  getDisplayText() {
+    return "Loom Bookmarks";
+  }
+  getIcon() {
+    return "bookmark";
+  }
+  async onOpen() {
+    this.render();
+  }
+  async onClose() {
+    this.contentEl.empty();
+  }
+  getBookmarkGroups() {
+    const filterTerm = normalizeSearchTerm(this.filterText.trim());
+    const groups = /* @__PURE__ */ new Map();
+    for (const node of Object.values(this.plugin.index)) {
+      if (!node.bookmarked)
+        continue;
+      if (filterTerm && !normalizeSearchTerm(node.text).includes(filterTerm) && !normalizeSearchTerm(node.documentPath).includes(filterTerm))
+        continue;
+      const groupKey = getLoomIndexNodeId(node.sourceId, node.documentPath);
+      if (!groups.has(groupKey))
+        groups.set(groupKey, { documentPath: node.documentPath, sourceId: node.sourceId, nodes: [] });
+      groups.get(groupKey).nodes.push({ node, depth: this.plugin.getLoomNodeDepth(node.id) });
+    }
+    const sortedGroups = [...groups.values()].sort((a, b) => a.documentPath.localeCompare(b.documentPath));
+    for (const group of sortedGroups)
+      group.nodes.sort((a, b) => a.depth - b.depth || a.node.id.localeCompare(b.node.id));
+    return sortedGroups;
+  }
+  render() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass("artifacting-loom-bookmarks-view");
+    const header = contentEl.createDiv({ cls: "artifacting-loom-bookmarks-header" });
+    const filterInput = header.createEl("input", { type: "text", placeholder: "Filter bookmarks..." });
+    filterInput.value = this.filterText;
+    filterInput.addEventListener("input", () => {
+      this.filterText = filterInput.value;
+      this.renderList();
+    });
+    this.listEl = contentEl.createDiv();
+    this.renderList();
+  }
+  renderList() {
+    if (!this.listEl)
+      return;
+    const listEl = this.listEl;
+    listEl.empty();
+    const groups = this.getBookmarkGroups();
+    if (groups.length === 0) {
+      listEl.createEl("p", { text: this.filterText.trim() ? "No bookmarked nodes match the filter." : "No bookmarked nodes in the Loom index. Bookmark nodes in Loomsidian to collect them here." });
+      return;
+    }
+    const total = groups.reduce((sum, group) => sum + group.nodes.length, 0);
+    listEl.createEl("small", { text: `${total} bookmarked node(s) in ${groups.length} document(s).` });
+    for (const group of groups) {
+      const groupEl = listEl.createEl("details", { cls: "artifacting-loom-bookmarks-document" });
+      groupEl.setAttr("open", "");
+      const sourceLabel = group.sourceId !== LOOM_PRIMARY_SOURCE_ID ? ` · ${this.plugin.getLoomSourceName(group.sourceId)}` : "";
+      groupEl.createEl("summary", { text: `${group.documentPath}${sourceLabel} (${group.nodes.length})` });
+      for (const { node, depth } of group.nodes)
+        this.renderBookmark(groupEl, node, depth);
+    }
+  }
+  renderBookmark(containerEl, node, depth) {
+    const itemEl = containerEl.createDiv({ cls: "artifacting-loom-bookmark" });
+    const snippetEl = itemEl.createDiv({ text: getLoomNodeLabel(node.text, 200), cls: "artifacting-loom-bookmark-snippet is-clickable" });
+    snippetEl.setAttr("title", "Show in Loom Tree Explorer");
+    snippetEl.onClickEvent(() => this.plugin.openLoomTreeView(node.id));
+    const metaEl = itemEl.createDiv({ cls: "artifacting-loom-bookmark-meta" });
+    metaEl.createEl("small", { text: `Depth ${depth} · node ${getLoomSourceNodeId(node).substring(0, 8)}` });
+    if (node.sourceId === LOOM_PRIMARY_SOURCE_ID && this.plugin.isLoomsidianLoaded()) {
+      const jumpButton = metaEl.createEl("button", { text: "Open in Loomsidian" });
+      jumpButton.onClickEvent(() => this.plugin.openLoomNodeInLoomsidian(node));
+    }
+    const promoteButton = metaEl.createEl("button", { text: this.plugin.getLoomNodeNotePath(node.id) ? "Open note" : "Promote to note" });
+    promoteButton.onClickEvent(() => this.plugin.promoteLoomNodeToNote(node));
+    const exportButton = metaEl.createEl("button", { text: "Export path" });
+    exportButton.onClickEvent(() => this.plugin.exportLoomNodePath(node));
+  }
+};
+var LOOM_BACKUP_DIFF_VIEW_TYPE = "artifacting-loom-backup-diff";
+var LIVE_LOOM_DATA_SOURCE = "live";
+var LOOM_DIFF_ITEMS_PER_SECTION = 100;
+var MAX_TEXT_DIFF_CELLS = 25e4;
+var LOOM_BACKUP_OBJECTS_FOLDER = "objects";
+var LOOM_SNAPSHOT_FORMAT = "artifacting-loom-snapshot";
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+function parseLoomBackupDate(name) {
+  const match = /^(?:data|snapshot)_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/.exec(name);
+  if (!match)
+    return null;
+  const date = new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+function getLoomSourceLabel(source) {
+  if (source === LIVE_LOOM_DATA_SOURCE)
+    return "live data.json";
+  const name = source.split("/").pop() || source;
+  const date = parseLoomBackupDate(name);
+  return date ? `${name} (${date.toLocaleString()})` : name;
+}
+function formatByteSize(bytes) {
+  if (bytes < 1024)
+    return `${bytes} B`;
+  if (bytes < 1024 * 1024)
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+function diffLoomText(oldText, newText) {
+  const oldTokens = oldText.match(/\s+|[^\s]+/g) || [];
+  const newTokens = newText.match(/\s+|[^\s]+/g) || [];
+  let prefixLength = 0;
+  while (prefixLength < oldTokens.length && prefixLength < newTokens.length && oldTokens[prefixLength] === newTokens[prefixLength])
+    prefixLength++;
+  let suffixLength = 0;
+  while (suffixLength < oldTokens.length - prefixLength && suffixLength < newTokens.length - prefixLength && oldTokens[oldTokens.length - 1 - suffixLength] === newTokens[newTokens.length - 1 - suffixLength])
+    suffixLength++;
+  const oldMiddle = oldTokens.slice(prefixLength, oldTokens.length - suffixLength);
+  const newMiddle = newTokens.slice(prefixLength, newTokens.length - suffixLength);
+  const parts = [];
+  const push = (type, text) => {
+    if (!text)
+      return;
+    const last = parts[parts.length - 1];
+    if (last && last.type === type)
+      last.text += text;
+    else
+      parts.push({ type, text });
+  };
+  push("same", oldTokens.slice(0, prefixLength).join(""));
+  const n = oldMiddle.length;
+  const m = newMiddle.length;
+  if ((n + 1) * (m + 1) > MAX_TEXT_DIFF_CELLS) {
+    push("removed", oldMiddle.join(""));
+    push("added", newMiddle.join(""));
+  } else {
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = oldMiddle[i] === newMiddle[j] ? lcs[(i + 1) * (m + 1) + j + 1] + 1 : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        push("same", oldMiddle[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+        push("removed", oldMiddle[i++]);
+      } else {
+        push("added", newMiddle[j++]);
+      }
+    }
+    push("removed", oldMiddle.slice(i).join(""));
+    push("added", newMiddle.slice(j).join(""));
+  }
+  push("same", oldTokens.slice(oldTokens.length - suffixLength).join(""));
+  return parts;
+}
+function diffLoomData(oldData, newData) {
+  const oldState = oldData && oldData.state || {};
+  const newState = newData && newData.state || {};
+  const documentPaths = [.../* @__PURE__ */ new Set([...Object.keys(oldState), ...Object.keys(newState)])].sort();
+  const documents = [];
+  for (const documentPath of documentPaths) {
+    const oldNodes = oldState[documentPath] && oldState[documentPath].nodes || {};
+    const newNodes = newState[documentPath] && newState[documentPath].nodes || {};
+    const added = [];
+    const removed = [];
+    const changed = [];
+    for (const [nodeId, newNode] of Object.entries(newNodes)) {
+      const oldNode = oldNodes[nodeId];
+      if (!oldNode)
+        added.push({ nodeId, text: newNode.text || "" });
+      else if ((oldNode.text || "") !== (newNode.text || ""))
+        changed.push({ nodeId, oldText: oldNode.text || "", newText: newNode.text || "" });
+    }
+    for (const [nodeId, oldNode] of Object.entries(oldNodes)) {
+      if (!newNodes[nodeId])
+        removed.push({ nodeId, text: oldNode.text || "" });
+    }
+    if (added.length === 0 && removed.length === 0 && changed.length === 0)
+      continue;
+    documents.push({
+      documentPath,
+      status: !oldState[documentPath] ? "added" : !newState[documentPath] ? "removed" : "changed",
+      added,
+      removed,
+      changed
+    });
+  }
+  return documents;
+}
+function renderLoomTextDiff(el, parts) {
+  for (const part of parts) {
+    if (part.type === "same")
+      el.appendText(part.text);
+    else
+      el.createSpan({ text: part.text, cls: part.type === "added" ? "artifacting-diff-added" : "artifacting-diff-removed" });
+  }
+}
+function countLoomDocumentNodes(docState) {
+  return docState && docState.nodes ? Object.keys(docState.nodes).length : 0;
+}
+var LoomBackupVerifyModal = class extends import_obsidian.Modal {
+  constructor(app, results) {
+    super(app);
+    this.results = results;
+  }
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Loom Backup Verification" });
+    const failed = this.results.filter((result) => !result.ok);
+    contentEl.createEl("p", { text: failed.length === 0 ? `All ${this.results.length} backup(s) are intact.` : `${failed.length} of ${this.results.length} backup(s) are corrupt or incomplete. They cannot be restored; pin or copy a good backup before deleting them.` });
+    const listEl = contentEl.createEl("ul", { cls: "artifacting-scrollable-list" });
+    listEl.style.maxHeight = "400px";
+    listEl.style.overflowY = "auto";
+    for (const result of this.results) {
+      const itemEl = listEl.createEl("li");
+      itemEl.createEl("strong", { text: `${result.ok ? "\u2713" : "\u2717"} ${result.backup.date.toLocaleString()}` });
+      itemEl.appendText(` \xB7 ${result.backup.name}${result.ok ? ` \xB7 ${result.nodeCount} nodes` : ""}`);
+      if (!result.ok) {
+        const problemsEl = itemEl.createEl("ul");
+        for (const problem of result.problems)
+          problemsEl.createEl("li", { text: problem });
+      }
+    }
+  }
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+};
+function getLoomBackupWeekKey(date) {
+  const weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+  return `${weekStart.getFullYear()}-${weekStart.getMonth()}-${weekStart.getDate()}`;
+}
+var LOOM_BACKUP_RETENTION_TIERS = [
+  { label: "recent", setting: "maxLoomBackups", bucket: null },
+  { label: "hourly", setting: "loomBackupKeepHourly", bucket: (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()} ${date.getHours()}` },
+  { label: "daily", setting: "loomBackupKeepDaily", bucket: (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}` },
+  { label: "weekly", setting: "loomBackupKeepWeekly", bucket: getLoomBackupWeekKey },
+  { label: "monthly", setting: "loomBackupKeepMonthly", bucket: (date) => `${date.getFullYear()}-${date.getMonth()}` }
+];
+function planLoomBackupRetention(backups, settings, pinnedBackups = {}, protectedBackups = {}) {
+  const reasons = new Map(backups.map((backup) => [backup.path, []]));
+  for (const tier of LOOM_BACKUP_RETENTION_TIERS) {
+    const keepCount = settings[tier.setting] || 0;
+    let keptCount = 0;
+    let lastBucket = null;
+    for (const backup of backups) {
+      if (keptCount >= keepCount)
+        break;
+      const bucket = tier.bucket ? tier.bucket(backup.date) : backup.path;
+      if (bucket === lastBucket)
+        continue;
+      lastBucket = bucket;
+      keptCount++;
+      reasons.get(backup.path).push(tier.label);
+    }
+  }
+  for (const backup of backups) {
+    if (pinnedBackups[backup.path] !== void 0)
+      reasons.get(backup.path).push(`pinned "${pinnedBackups[backup.path]}"`);
+    if (protectedBackups[backup.path])
+      reasons.get(backup.path).push(protectedBackups[backup.path]);
+  }
+  return backups.map((backup) => ({ backup, reasons: reasons.get(backup.path), keep: reasons.get(backup.path).length > 0 }));
+}
+var LoomBackupPinModal = class extends import_obsidian.Modal {
+  constructor(app, backup, onSubmit) {
+    super(app);
+    this.backup = backup;
+    this.onSubmit = onSubmit;
+  }
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Pin Loom Backup" });
+    contentEl.createEl("p", { text: `${this.backup.date.toLocaleString()} \xB7 ${formatByteSize(this.backup.size)}. Pinned backups are never pruned.` });
+    let pinName = "";
+    new import_obsidian.Setting(contentEl).setName("Name").addText((text) => {
+      text.setPlaceholder("Example: before rewriting chapter 3").onChange((value) => {
+        pinName = value;
+      });
+      text.inputEl.addEventListener("keydown", (evt) => {
+        if (evt.key === "Enter")
+          pinButton.click();
+      });
+    });
+    const pinButton = contentEl.createEl("button", { text: "Pin", cls: "mod-cta" });
+    pinButton.onClickEvent(async () => {
+      this.close();
+      await this.onSubmit(pinName.trim() || this.backup.date.toLocaleString());
+    });
+  }
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+};
+var LoomBackupCompareModal = class extends import_obsidian.Modal {
+  constructor(app, plugin, backups) {
+    super(app);
+    this.plugin = plugin;
+    this.backups = backups;
+    this.oldSource = backups.length > 0 ? backups[0].path : LIVE_LOOM_DATA_SOURCE;
+    this.newSource = LIVE_LOOM_DATA_SOURCE;
+  }
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Compare Loom Backups" });
+    const addSourceOptions = (dropdown) => {
+      dropdown.addOption(LIVE_LOOM_DATA_SOURCE, "Live data.json");
+      for (const backup of this.backups)
+        dropdown.addOption(backup.path, `${backup.date.toLocaleString()} \xB7 ${formatByteSize(backup.size)}`);
+    };
+    new import_obsidian.Setting(contentEl).setName("Older").setDesc("The snapshot to compare from.").addDropdown((dropdown) => {
+      addSourceOptions(dropdown);
+      dropdown.setValue(this.oldSource).onChange((value) => {
+        this.oldSource = value;
+      });
+    });
+    new import_obsidian.Setting(contentEl).setName("Newer").setDesc("The snapshot to compare to.").addDropdown((dropdown) => {
+      addSourceOptions(dropdown);
+      dropdown.setValue(this.newSource).onChange((value) => {
+        this.newSource = value;
+      });
+    });
+    const compareButton = contentEl.createEl("button", { text: "Compare", cls: "mod-cta" });
+    compareButton.onClickEvent(async () => {
+      if (this.oldSource === this.newSource) {
+        new import_obsidian.Notice("Choose two different snapshots to compare.");
+        return;
+      }
+      this.close();
+      await this.plugin.openLoomBackupDiffView(this.oldSource, this.newSource);
+    });
+  }
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+};
+function getLoomDocumentNodeCount(loomData, documentPath) {
+  return countLoomDocumentNodes(loomData && loomData.state ? loomData.state[documentPath] : null);
+}
+var LoomBackupRestoreModal = class extends import_obsidian.Modal {
+  constructor(app, plugin, backups) {
+    super(app);
+    this.restoreMode = "documents";
+    this.reloadLoomsidian = true;
+    this.selectedDocuments = /* @__PURE__ */ new Set();
+    this.preview = null;
+    this.plugin = plugin;
+    this.backups = backups;
+    this.source = backups[0].path;
+  }
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl("h2", { text: "Restore Loom Backup" });
+    new import_obsidian.Setting(contentEl).setName("Backup").addDropdown((dropdown) => {
+      for (const backup of this.backups)
+        dropdown.addOption(backup.path, `${backup.date.toLocaleString()} \xB7 ${formatByteSize(backup.size)}`);
+      dropdown.setValue(this.source).onChange(async (value) => {
+        this.source = value;
+        this.selectedDocuments.clear();
+        await this.loadPreview();
+      });
+    }).addButton((button) => button.setButtonText("Compare with live").onClick(async () => {
+      this.close();
+      await this.plugin.openLoomBackupDiffView(this.source, LIVE_LOOM_DATA_SOURCE);
+    }));
+    new import_obsidian.Setting(contentEl).setName("Restore").addDropdown((dropdown) => {
+      dropdown.addOption("documents", "Selected documents only");
+      dropdown.addOption("all", "Whole data.json");
+      dropdown.setValue(this.restoreMode).onChange((value) => {
+        this.restoreMode = value;
+        this.renderPreview();
+      });
+    });
+    if (this.plugin.isLoomsidianLoaded()) {
+      new import_obsidian.Setting(contentEl).setName("Reload Loomsidian after restore").setDesc("Loomsidian keeps its data in memory and would overwrite the restored data on its next save unless it is reloaded.").addToggle((toggle) => toggle.setValue(this.reloadLoomsidian).onChange((value) => {
+        this.reloadLoomsidian = value;
+      }));
+    }
+    this.previewEl = contentEl.createDiv();
+    contentEl.createEl("p", { text: "A fresh backup of the current data.json is taken before anything is written." });
+    this.restoreButton = contentEl.createEl("button", { text: "Restore", cls: "mod-cta" });
+    this.restoreButton.onClickEvent(async () => {
+      if (!this.preview)
+        return;
+      if (this.restoreMode === "documents" && this.selectedDocuments.size === 0) {
+        new import_obsidian.Notice("Select at least one document to restore.");
+        return;
+      }
+      this.restoreButton.disabled = true;
+      await this.plugin.restoreLoomBackup(this.source, this.restoreMode === "documents" ? [...this.selectedDocuments] : null, this.reloadLoomsidian && this.plugin.isLoomsidianLoaded());
+      this.close();
+    });
+    this.loadPreview();
+  }
+  async loadPreview() {
+    this.preview = null;
+    this.previewEl.empty();
+    this.previewEl.createEl("p", { text: "Loading backup..." });
+    const source = this.source;
+    const backupData = await this.plugin.readLoomBackup(source);
+    const liveData = await this.plugin.readLoomData(false);
+    if (source !== this.source)
+      return;
+    this.preview = backupData ? { backupData, liveData, changes: new Map(diffLoomData(liveData, backupData).map((doc) => [doc.documentPath, doc])) } : null;
+    this.renderPreview();
+  }
+  renderPreview() {
+    const { previewEl } = this;
+    previewEl.empty();
+    if (!this.preview) {
+      previewEl.createEl("p", { text: `Could not read ${getLoomSourceLabel(this.source)}. See console.` });
+      return;
+    }
+    const { backupData, liveData, changes } = this.preview;
+    const documentPaths = Object.keys(backupData.state).sort();
+    const totalNodes = documentPaths.reduce((sum, documentPath) => sum + getLoomDocumentNodeCount(backupData, documentPath), 0);
+    previewEl.createEl("p", { text: `${documentPaths.length} document(s), ${totalNodes} node(s) in this backup. ${documentPaths.filter((documentPath) => changes.has(documentPath)).length} of them differ from the live data.` });
+    if (this.restoreMode === "all") {
+      const liveOnlyPaths = liveData && liveData.state ? Object.keys(liveData.state).filter((documentPath) => !backupData.state[documentPath]) : [];
+      if (liveOnlyPaths.length > 0)
+        previewEl.createEl("p", { text: `Restoring the whole file removes the Loom data of ${liveOnlyPaths.length} document(s) that are not in this backup: ${liveOnlyPaths.join(", ")}` });
+    }
+    const selectionEl = previewEl.createDiv();
+    if (this.restoreMode === "documents") {
+      const selectChangedButton = selectionEl.createEl("button", { text: "Select changed" });
+      selectChangedButton.onClickEvent(() => {
+        this.selectedDocuments = new Set(documentPaths.filter((documentPath) => changes.has(documentPath)));
+        this.renderPreview();
+      });
+      const selectNoneButton = selectionEl.createEl("button", { text: "Select none" });
+      selectNoneButton.onClickEvent(() => {
+        this.selectedDocuments.clear();
+        this.renderPreview();
+      });
+    }
+    const listEl = previewEl.createDiv({ cls: "artifacting-scrollable-list" });
+    listEl.style.maxHeight = "300px";
+    listEl.style.overflowY = "auto";
+    for (const documentPath of documentPaths) {
+      const backupCount = getLoomDocumentNodeCount(backupData, documentPath);
+      const liveCount = getLoomDocumentNodeCount(liveData, documentPath);
+      const change = changes.get(documentPath);
+      const changeLabel = !change ? "unchanged" : change.status === "added" ? "not in live data" : `restoring would add ${change.added.length}, remove ${change.removed.length}, change ${change.changed.length}`;
+      const setting = new import_obsidian.Setting(listEl).setName(documentPath).setDesc(`${backupCount} node(s) in backup, ${liveCount} live \xB7 ${changeLabel}`);
+      if (this.restoreMode === "documents") {
+        setting.addToggle((toggle) => toggle.setValue(this.selectedDocuments.has(documentPath)).onChange((value) => {
+          if (value)
+            this.selectedDocuments.add(documentPath);
+          else
+            this.selectedDocuments.delete(documentPath);
+        }));
+      }
+    }
+  }
+  onClose() {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+};
+var LoomBackupDiffView = class extends import_obsidian.ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.oldSource = null;
+    this.newSource = null;
+    this.documents = null;
+    this.loadError = null;
+    this.plugin = plugin;
+  }
+  getViewType() {
+    return LOOM_BACKUP_DIFF_VIEW_TYPE;
+  }
+  getDisplayText() {
+    return "Loom Backup Diff";
+  }
+  getIcon() {
+    return "file-diff";
+  }
+  getState() {
+    return { oldSource: this.oldSource, newSource: this.newSource };
+  }
+  async setState(state, result) {
+    this.oldSource = state && state.oldSource ? state.oldSource : null;
+    this.newSource = state && state.newSource ? state.newSource : null;
+    await this.loadDiff();
+    await super.setState(state, result);
+  }
+  async onOpen() {
+    this.render();
+  }
+  async onClose() {
+    this.contentEl.empty();
+  }
+  async loadDiff() {
+    this.documents = null;
+    this.loadError = null;
+    if (!this.oldSource || !this.newSource) {
+      this.render();
+      return;
+    }
+    this.contentEl.empty();
+    this.contentEl.createEl("p", { text: "Loading snapshots..." });
+    const oldData = await this.plugin.readLoomBackup(this.oldSource);
+    const newData = await this.plugin.readLoomBackup(this.newSource);
+    if (!oldData || !newData) {
+      this.loadError = `Could not read ${!oldData ? getLoomSourceLabel(this.oldSource) : getLoomSourceLabel(this.newSource)}. See console.`;
+    } else {
+      this.documents = diffLoomData(oldData, newData);
+    }
+    this.render();
+  }
+  render() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.addClass("artifacting-loom-diff-view");
+    if (!this.oldSource || !this.newSource) {
+      contentEl.createEl("p", { text: 'Run "Compare Loom backups" to choose two snapshots.' });
+      return;
+    }
+    const header = contentEl.createDiv({ cls: "artifacting-loom-diff-header" });
+    header.createEl("h4", { text: `${getLoomSourceLabel(this.oldSource)} \u2192 ${getLoomSourceLabel(this.newSource)}` });
+    const reloadButton = header.createEl("button", { text: "Reload" });
+    reloadButton.onClickEvent(() => this.loadDiff());
+    if (this.loadError) {
+      contentEl.createEl("p", { text: this.loadError });
+      return;
+    }
+    if (!this.documents)
+      return;
+    if (this.documents.length === 0) {
+      contentEl.createEl("p", { text: "No differences in any document." });
+      return;
+    }
+    const totals = this.documents.reduce((sum, doc) => ({ added: sum.added + doc.added.length, removed: sum.removed + doc.removed.length, changed: sum.changed + doc.changed.length }), { added: 0, removed: 0, changed: 0 });
+    header.createEl("small", { text: `${this.documents.length} document(s) differ: ${totals.added} added, ${totals.removed} deleted, ${totals.changed} changed node(s).` });
+    for (const doc of this.documents) {
+      const docEl = contentEl.createEl("details", { cls: "artifacting-loom-diff-document" });
+      if (this.documents.length <= 3)
+        docEl.setAttr("open", "");
+      const statusLabel = doc.status === "added" ? " (new document)" : doc.status === "removed" ? " (document removed)" : "";
+      docEl.createEl("summary", { text: `${doc.documentPath}${statusLabel} \xB7 +${doc.added.length} \u2212${doc.removed.length} ~${doc.changed.length}` });
+      this.renderSection(docEl, "Deleted", doc.removed, (listItem, entry) => {
+        this.renderNodeLink(listItem, entry.nodeId, entry.text, this.oldSource);
+      });
+      this.renderSection(docEl, "Added", doc.added, (listItem, entry) => {
+        this.renderNodeLink(listItem, entry.nodeId, entry.text, this.newSource);
+      });
+      this.renderSection(docEl, "Text changed", doc.changed, (listItem, entry) => {
+        this.renderNodeLink(listItem, entry.nodeId, entry.newText, this.newSource);
+        renderLoomTextDiff(listItem.createDiv({ cls: "artifacting-loom-diff-text" }), diffLoomText(entry.oldText, entry.newText));
+      });
+    }
+  }
+  renderSection(containerEl, title, entries, renderEntry) {
+    if (entries.length === 0)
+      return;
+    containerEl.createEl("h5", { text: `${title} (${entries.length})` });
+    const listEl = containerEl.createEl("ul");
+    const renderRange = (start, end) => {
+      for (const entry of entries.slice(start, end))
+        renderEntry(listEl.createEl("li"), entry);
+    };
+    renderRange(0, LOOM_DIFF_ITEMS_PER_SECTION);
+    if (entries.length > LOOM_DIFF_ITEMS_PER_SECTION) {
+      const moreButton = containerEl.createEl("button", { text: `Show ${entries.length - LOOM_DIFF_ITEMS_PER_SECTION} more` });
+      moreButton.onClickEvent(() => {
+        moreButton.remove();
+        renderRange(LOOM_DIFF_ITEMS_PER_SECTION, entries.length);
+      });
+    }
+  }
+  renderNodeLink(listItem, nodeId, text, source) {
+    const link = listItem.createSpan({ text: getLoomNodeLabel(text, 80), cls: "is-clickable" });
+    link.setAttr("title", `Show node ${nodeId} in ${getLoomSourceLabel(source)}`);
+    link.onClickEvent(() => this.plugin.openLoomTreeView(nodeId, source === LIVE_LOOM_DATA_SOURCE ? null : source));
+  }
+};
+var ArtifactingSettingTab = class extends import_obsidian.PluginSettingTab {
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+  }
+  async renderLoomBackupRetentionPreview(previewEl) {
+    const backups = await this.plugin.listLoomBackups();
+    previewEl.empty();
+    if (backups.length === 0) {
+      previewEl.createEl("p", { text: "No Loom backups yet." });
+      return;
+    }
+    const plan = planLoomBackupRetention(backups, this.plugin.settings, this.plugin.pinnedLoomBackups);
+    const deleteCount = plan.filter((entry) => !entry.keep).length;
+    previewEl.createEl("p", { text: `${backups.length - deleteCount} of ${backups.length} backup(s) kept by this policy; ${deleteCount} would be deleted at the next backup.` });
+    const listEl = previewEl.createDiv({ cls: "artifacting-scrollable-list" });
+    listEl.style.maxHeight = "300px";
+    listEl.style.overflowY = "auto";
+    for (const { backup, reasons, keep } of plan) {
+      const isPinned = this.plugin.pinnedLoomBackups[backup.path] !== void 0;
+      new import_obsidian.Setting(listEl).setName(`${backup.date.toLocaleString()} \xB7 ${formatByteSize(backup.size)}`).setDesc(keep ? `Keep (${reasons.join(", ")})` : "Delete").addButton((button) => button.setButtonText(isPinned ? "Unpin" : "Pin").onClick(() => {
+        if (isPinned) {
+          this.plugin.setLoomBackupPin(backup.path, null).then(() => this.renderLoomBackupRetentionPreview(previewEl));
+        } else {
+          new LoomBackupPinModal(this.app, backup, async (pinName) => {
+            await this.plugin.setLoomBackupPin(backup.path, pinName);
+            await this.renderLoomBackupRetentionPreview(previewEl);
+          }).open();
+        }
+      }));
+    }
+  }
+  display() {
+    const { containerEl } = this;
     containerEl.empty();
     containerEl.createEl("h2", { text: "Artifacting Plugin Settings" });
     containerEl.createEl("h3", { text: "Screenshot Processing" });
@@ -343,11 +2719,161 @@ var ArtifactingSettingTab = class extends import_obsidian.PluginSettingTab {
         text.setValue(sanitizedTag);
       }));
     }
+    new import_obsidian.Setting(containerEl).setName("Watch Screenshot Input Folder").setDesc("Process new images as soon as they are added to or moved into the input folder, instead of only on startup or by command. Files are picked up once they have finished writing.").addToggle((toggle) => toggle.setValue(this.plugin.settings.watchScreenshotInputFolder).onChange(async (value) => {
+      this.plugin.settings.watchScreenshotInputFolder = value;
+      await this.plugin.savePluginSettings();
+      if (!value)
+        this.plugin.cancelInboxWatch();
+    }));
+    containerEl.createEl("h3", { text: "OCR" });
+    new import_obsidian.Setting(containerEl).setName("OCR Concurrency").setDesc("How many images the OCR queue processes at the same time. Higher values finish large scans sooner but use more CPU.").addText((text) => text.setValue(this.plugin.settings.ocrConcurrency.toString()).onChange(async (value) => {
+      const num = parseInt(value);
+      if (!isNaN(num) && num >= 1 && num <= 8) {
+        this.plugin.settings.ocrConcurrency = num;
+        await this.plugin.savePluginSettings();
+        this.plugin.pumpOcrQueue();
+      } else {
+        new import_obsidian.Notice("Please enter a number between 1 and 8 for OCR concurrency.");
+        text.setValue(this.plugin.settings.ocrConcurrency.toString());
+      }
+    }));
+    new import_obsidian.Setting(containerEl).setName("Write OCR Text Into Notes").setDesc('Keep a collapsed "OCR text" callout in each image\'s artifact note up to date, so Obsidian search, Dataview and other plugins can see the text. Only the marked block is rewritten.').addToggle((toggle) => toggle.setValue(this.plugin.settings.writeOcrTextToNotes).onChange(async (value) => {
+      this.plugin.settings.writeOcrTextToNotes = value;
+      await this.plugin.savePluginSettings();
+    }));
+    containerEl.createEl("h4", { text: "OCR Engines" });
+    containerEl.createEl("p", { text: "Enabled engines are tried from top to bottom; when one is unavailable or fails, the next one is used. Each index entry remembers the engine that produced its text.", cls: "setting-item-description" });
+    const ocrEngines = this.plugin.settings.ocrEngines;
+    ocrEngines.forEach((engineSetting, position) => {
+      const engine = OCR_ENGINES[engineSetting.type];
+      const moveEngine = async (offset) => {
+        ocrEngines.splice(position, 1);
+        ocrEngines.splice(position + offset, 0, engineSetting);
+        await this.plugin.savePluginSettings();
+        this.display();
+      };
+      const engineRow = new import_obsidian.Setting(containerEl).setName(engine.label).setDesc(engine.description);
+      if (position > 0)
+        engineRow.addExtraButton((button) => button.setIcon("arrow-up").setTooltip("Try earlier").onClick(() => moveEngine(-1)));
+      if (position < ocrEngines.length - 1)
+        engineRow.addExtraButton((button) => button.setIcon("arrow-down").setTooltip("Try later").onClick(() => moveEngine(1)));
+      engineRow.addToggle((toggle) => toggle.setTooltip("Use this engine").setValue(engineSetting.enabled).onChange(async (value) => {
+        engineSetting.enabled = value;
+        await this.plugin.savePluginSettings();
+      }));
+    });
+    new import_obsidian.Setting(containerEl).setName("OCR Language").setDesc('Tesseract language code(s) used by the bundled Tesseract engine and sent to the OCR server, e.g. "eng" or "eng+deu". Only English data ships with the plugin. Text Extractor uses its own language settings.').addText((text) => text.setPlaceholder("eng").setValue(this.plugin.settings.ocrLanguage).onChange(async (value) => {
+      this.plugin.settings.ocrLanguage = value.replace(/\s+/g, "") || DEFAULT_SETTINGS.ocrLanguage;
+      await this.plugin.savePluginSettings();
+    }));
+    new import_obsidian.Setting(containerEl).setName("OCR Server URL").setDesc("Endpoint of your own OCR server, used by the Local OCR server engine.").addText((text) => text.setPlaceholder(DEFAULT_SETTINGS.ocrHttpEndpoint).setValue(this.plugin.settings.ocrHttpEndpoint).onChange(async (value) => {
+      this.plugin.settings.ocrHttpEndpoint = value.trim();
+      await this.plugin.savePluginSettings();
+    }));
     containerEl.createEl("h3", { text: "Note Merging" });
     new import_obsidian.Setting(containerEl).setName("Merged Notes Archive Folder").setDesc("Folder where original notes will be moved after merging (if 'archive' option is chosen).").addText((text) => text.setPlaceholder("Example: Artifacts/MergedNotesArchive").setValue(this.plugin.settings.mergedNotesArchivePath).onChange(async (value) => {
       this.plugin.settings.mergedNotesArchivePath = value;
       await this.plugin.savePluginSettings();
     }));
+    containerEl.createEl("h3", { text: "Duplicate Detection" });
+    new import_obsidian.Setting(containerEl).setName("Duplicate Similarity Threshold (%)").setDesc("How similar (by overlapping three-word sequences) Loom nodes and OCR texts must be for \"Find duplicate artifacts\" to group them. Lower values find more, looser matches.").addText((text) => text.setValue(this.plugin.settings.duplicateSimilarityThreshold.toString()).onChange(async (value) => {
+      const num = parseInt(value);
+      if (!isNaN(num) && num >= 30 && num <= 100) {
+        this.plugin.settings.duplicateSimilarityThreshold = num;
+        await this.plugin.savePluginSettings();
+      } else {
+        new import_obsidian.Notice("Please enter a number between 30 and 100 for the similarity threshold.");
+        text.setValue(this.plugin.settings.duplicateSimilarityThreshold.toString());
+      }
+    }));
+    new import_obsidian.Setting(containerEl).setName("Duplicate Image Distance").setDesc("How many of the 64 bits of two images' perceptual hashes may differ for them to count as the same screenshot. 0 only matches visually identical images; higher values also match resized or recompressed copies, but may group different screenshots of similar screens.").addText((text) => text.setValue(this.plugin.settings.duplicateImageMaxDistance.toString()).onChange(async (value) => {
+      const num = parseInt(value);
+      if (!isNaN(num) && num >= 0 && num <= 20) {
+        this.plugin.settings.duplicateImageMaxDistance = num;
+        await this.plugin.savePluginSettings();
+      } else {
+        new import_obsidian.Notice("Please enter a number between 0 and 20 for the image distance.");
+        text.setValue(this.plugin.settings.duplicateImageMaxDistance.toString());
+      }
+    }));
+    new import_obsidian.Setting(containerEl).setName("Duplicate Screenshots in the Input Folder").setDesc("What to do when a new screenshot in the input folder matches an image that already has an artifact note.").addDropdown((dropdown) => {
+      dropdown.addOption("ask", "Ask every time");
+      dropdown.addOption("skip", "Skip (no note)");
+      dropdown.addOption("link", "Link to the existing note");
+      dropdown.addOption("keep", "Keep both");
+      dropdown.setValue(this.plugin.settings.duplicateScreenshotAction).onChange(async (value) => {
+        this.plugin.settings.duplicateScreenshotAction = value;
+        await this.plugin.savePluginSettings();
+      });
+    });
+    containerEl.createEl("h3", { text: "Loom Index" });
+    containerEl.createEl("h4", { text: "Conversation Sources" });
+    containerEl.createEl("p", { text: 'Stores read into the Loom index, search and exports. Backups, restores and imports always use the Loomsidian source. The index is updated shortly after a path is changed.', cls: "setting-item-description" });
+    for (const source of this.plugin.settings.loomSources) {
+      const sourceType = LOOM_SOURCE_TYPES[source.type];
+      const isPrimary = source.id === LOOM_PRIMARY_SOURCE_ID;
+      const sourceSetting = new import_obsidian.Setting(containerEl).setName(source.name).setDesc(sourceType ? sourceType.pathDescription : `Unknown source type "${source.type}".`);
+      if (!isPrimary) {
+        sourceSetting.addText((text) => text.setPlaceholder("Name").setValue(source.name).onChange(async (value) => {
+          source.name = value.trim() || source.id;
+          await this.plugin.savePluginSettings();
+        }));
+      }
+      sourceSetting.addText((text) => text.setPlaceholder(source.type === "json-folder" ? "Example: Conversations" : LOOM_DATA_PATH).setValue(source.path).onChange(async (value) => {
+        source.path = value ? (0, import_obsidian.normalizePath)(value) : "";
+        await this.plugin.savePluginSettings();
+        this.plugin.scheduleLoomIndexUpdate();
+      })).addToggle((toggle) => toggle.setTooltip("Index this source").setValue(source.enabled).onChange(async (value) => {
+        source.enabled = value;
+        await this.plugin.savePluginSettings();
+        await this.plugin.updateLoomIndexIfChanged();
+      }));
+      if (!isPrimary) {
+        sourceSetting.addExtraButton((button) => button.setIcon("trash").setTooltip("Remove source").onClick(async () => {
+          this.plugin.settings.loomSources = this.plugin.settings.loomSources.filter((candidate) => candidate !== source);
+          await this.plugin.savePluginSettings();
+          await this.plugin.updateLoomIndexIfChanged();
+          this.display();
+        }));
+      }
+    }
+    let newSourceType = "json-folder";
+    new import_obsidian.Setting(containerEl).setName("Add Source").setDesc("Add another Loomsidian data.json or a folder of conversation JSON files.").addDropdown((dropdown) => {
+      for (const [type, sourceType] of Object.entries(LOOM_SOURCE_TYPES))
+        dropdown.addOption(type, sourceType.label);
+      dropdown.setValue(newSourceType).onChange((value) => {
+        newSourceType = value;
+      });
+    }).addButton((button) => button.setButtonText("Add").onClick(async () => {
+      this.plugin.settings.loomSources.push({
+        id: `source-${Date.now().toString(36)}`,
+        type: newSourceType,
+        name: `${LOOM_SOURCE_TYPES[newSourceType].label} ${this.plugin.settings.loomSources.length + 1}`,
+        path: "",
+        enabled: true
+      });
+      await this.plugin.savePluginSettings();
+      this.display();
+    }));
+    new import_obsidian.Setting(containerEl).setName("Keep Loom Index Up to Date").setDesc("Watch Loomsidian's data.json for changes and apply added, edited and deleted nodes to the index without a full rebuild.").addToggle((toggle) => toggle.setValue(this.plugin.settings.enableLoomIndexWatch).onChange(async (value) => {
+      this.plugin.settings.enableLoomIndexWatch = value;
+      await this.plugin.savePluginSettings();
+      this.plugin.rescheduleLoomIndexWatch();
+      this.display();
+    }));
+    if (this.plugin.settings.enableLoomIndexWatch) {
+      new import_obsidian.Setting(containerEl).setName("Loom Data Check Interval (seconds)").setDesc("How often to check whether Loomsidian's data.json has changed (by modification time and size).").addText((text) => text.setValue(this.plugin.settings.loomIndexWatchIntervalSeconds.toString()).onChange(async (value) => {
+        const num = parseInt(value);
+        if (!isNaN(num) && num >= 2) {
+          this.plugin.settings.loomIndexWatchIntervalSeconds = num;
+          await this.plugin.savePluginSettings();
+          this.plugin.rescheduleLoomIndexWatch();
+        } else {
+          new import_obsidian.Notice("Please enter a valid number (>= 2) of seconds.");
+          text.setValue(this.plugin.settings.loomIndexWatchIntervalSeconds.toString());
+        }
+      }));
+    }
     containerEl.createEl("h3", { text: "Loomsidian Data Backup" });
     new import_obsidian.Setting(containerEl).setName("Enable Loomsidian Backup Feature").setDesc("If enabled, the plugin will manage backups for Loomsidian's data.json file.").addToggle((toggle) => toggle.setValue(this.plugin.settings.enableLoomBackup).onChange(async (value) => {
       this.plugin.settings.enableLoomBackup = value;
@@ -359,16 +2885,37 @@ var ArtifactingSettingTab = class extends import_obsidian.PluginSettingTab {
         this.plugin.settings.loomBackupFolderPath = (0, import_obsidian.normalizePath)(value);
         await this.plugin.savePluginSettings();
       }));
-      new import_obsidian.Setting(containerEl).setName("Maximum Loom Backups to Keep").setDesc("The number of recent Loomsidian backups to retain. Older backups will be deleted.").addText((text) => text.setValue(this.plugin.settings.maxLoomBackups.toString()).onChange(async (value) => {
+      const retentionPreviewEl = createDiv();
+      new import_obsidian.Setting(containerEl).setName("Always Keep Most Recent Backups").setDesc("The number of most recent Loomsidian backups that are always retained, in addition to the hourly, daily, weekly and monthly backups below.").addText((text) => text.setValue(this.plugin.settings.maxLoomBackups.toString()).onChange(async (value) => {
         const num = parseInt(value);
         if (!isNaN(num) && num >= 1) {
           this.plugin.settings.maxLoomBackups = num;
           await this.plugin.savePluginSettings();
+          await this.renderLoomBackupRetentionPreview(retentionPreviewEl);
         } else {
           new import_obsidian.Notice("Please enter a valid number (>= 1) for maximum backups.");
           text.setValue(this.plugin.settings.maxLoomBackups.toString());
         }
       }));
+      const retentionSettings = [
+        ["loomBackupKeepHourly", "Hourly Backups to Keep", "Keep the newest backup of each of this many recent hours that have a backup."],
+        ["loomBackupKeepDaily", "Daily Backups to Keep", "Keep the newest backup of each of this many recent days that have a backup."],
+        ["loomBackupKeepWeekly", "Weekly Backups to Keep", "Keep the newest backup of each of this many recent weeks (starting Monday) that have a backup."],
+        ["loomBackupKeepMonthly", "Monthly Backups to Keep", "Keep the newest backup of each of this many recent months that have a backup."]
+      ];
+      for (const [key, name, desc] of retentionSettings) {
+        new import_obsidian.Setting(containerEl).setName(name).setDesc(`${desc} 0 turns this tier off.`).addText((text) => text.setValue(this.plugin.settings[key].toString()).onChange(async (value) => {
+          const num = parseInt(value);
+          if (!isNaN(num) && num >= 0) {
+            this.plugin.settings[key] = num;
+            await this.plugin.savePluginSettings();
+            await this.renderLoomBackupRetentionPreview(retentionPreviewEl);
+          } else {
+            new import_obsidian.Notice("Please enter a valid number (>= 0).");
+            text.setValue(this.plugin.settings[key].toString());
+          }
+        }));
+      }
       new import_obsidian.Setting(containerEl).setName("Backup Growth Threshold (KB)").setDesc("Create a backup if Loomsidian data grows by this many kilobytes since the last backup.").addText((text) => text.setValue(this.plugin.settings.loomBackupGrowthThresholdKB.toString()).onChange(async (value) => {
         const num = parseInt(value);
         if (!isNaN(num) && num >= 1) {
@@ -394,15 +2941,280 @@ var ArtifactingSettingTab = class extends import_obsidian.PluginSettingTab {
           text.setValue(this.plugin.settings.dailyLoomBackupCheckTime);
         }
       }));
+      containerEl.createEl("h4", { text: "Retention Preview" });
+      containerEl.appendChild(retentionPreviewEl);
+      this.renderLoomBackupRetentionPreview(retentionPreviewEl);
     }
     containerEl.createEl("h3", { text: "Loom Export Settings" });
     new import_obsidian.Setting(containerEl).setName("Loom Exports Folder Path").setDesc("Folder where exported Loomsidian segments (JSON and MD files) will be saved.").addText((text) => text.setPlaceholder("Example: Artifacts/LoomExports").setValue(this.plugin.settings.loomExportsFolderPath).onChange(async (value) => {
       this.plugin.settings.loomExportsFolderPath = (0, import_obsidian.normalizePath)(value);
       await this.plugin.savePluginSettings();
     }));
+    new import_obsidian.Setting(containerEl).setName("Include Canvas in Exports").setDesc("Also write a .canvas file with one card per node, laid out as a tree, when exporting a document's Loom.").addToggle((toggle) => toggle.setValue(this.plugin.settings.loomExportIncludeCanvas).onChange(async (value) => {
+      this.plugin.settings.loomExportIncludeCanvas = value;
+      await this.plugin.savePluginSettings();
+    }));
+    new import_obsidian.Setting(containerEl).setName("Include HTML in Exports").setDesc("Also write a self-contained HTML file with a collapsible, searchable tree when exporting a document's Loom.").addToggle((toggle) => toggle.setValue(this.plugin.settings.loomExportIncludeHtml).onChange(async (value) => {
+      this.plugin.settings.loomExportIncludeHtml = value;
+      await this.plugin.savePluginSettings();
+    }));
+    new import_obsidian.Setting(containerEl).setName("Promoted Loom Notes Folder Path").setDesc("Folder where notes created with \"Promote to note\" (the text of a Loom node's path) are saved.").addText((text) => text.setPlaceholder("Example: Artifacts/LoomNotes").setValue(this.plugin.settings.loomPromotedNotesFolderPath).onChange(async (value) => {
+      this.plugin.settings.loomPromotedNotesFolderPath = (0, import_obsidian.normalizePath)(value);
+      await this.plugin.savePluginSettings();
+    }));
+    containerEl.createEl("h3", { text: "Conversation Import Settings" });
+    new import_obsidian.Setting(containerEl).setName("Conversation Import Folder Path").setDesc("Folder where notes for imported ChatGPT / Claude conversations are created. Branching conversation trees are stored in its trees subfolder and indexed as a Loom source.").addText((text) => text.setPlaceholder("Example: Artifacts/Conversations").setValue(this.plugin.settings.conversationImportFolderPath).onChange(async (value) => {
+      this.plugin.settings.conversationImportFolderPath = (0, import_obsidian.normalizePath)(value);
+      const sourceMoved = this.plugin.syncConversationImportSource(false);
+      await this.plugin.savePluginSettings();
+      if (sourceMoved)
+        this.plugin.scheduleLoomIndexUpdate();
+    }));
+  }
+};
+function getConversationMessageText(message) {
+  if (typeof message === "string")
+    return message;
+  if (!message)
+    return null;
+  const content = message.text !== void 0 ? message.text : message.content;
+  if (typeof content === "string")
+    return content;
+  if (Array.isArray(content))
+    return content.map((part) => typeof part === "string" ? part : part && typeof part.text === "string" ? part.text : "").join("");
+  return null;
+}
+function getConversationRoleLabel(role) {
+  if (role === "user" || role === "human")
+    return "User";
+  if (role === "assistant")
+    return "Assistant";
+  return role.charAt(0).toUpperCase() + role.slice(1);
+}
+function formatConversationNodeText(role, text) {
+  return typeof role === "string" && role ? `${getConversationRoleLabel(role)}: ${text}
+
+` : text;
+}
+function normalizeConversationDocument(data) {
+  if (data && data.nodes && typeof data.nodes === "object" && !Array.isArray(data.nodes)) {
+    return { current: data.current || null, nodes: data.nodes };
+  }
+  const messages = Array.isArray(data) ? data : data && Array.isArray(data.messages) ? data.messages : null;
+  if (!messages)
+    return null;
+  const nodes = {};
+  let parentId = null;
+  messages.forEach((message, position) => {
+    const text = getConversationMessageText(message);
+    if (text === null)
+      return;
+    const nodeId = message && typeof message.id === "string" ? message.id : `m${position}`;
+    const role = message && (message.role || message.sender || message.author);
+    nodes[nodeId] = { text: formatConversationNodeText(role, text), parentId };
+    parentId = nodeId;
+  });
+  return { current: parentId, nodes };
+}
+var CONVERSATION_IMPORT_SOURCE_ID = "conversation-imports";
+var CONVERSATION_NOTE_END_MARKER = "%% artifacting:conversation-end \u2014 text below this line is kept when the conversation is re-imported %%";
+function toIsoDate(value) {
+  if (value === null || value === void 0 || value === "")
+    return null;
+  const date = typeof value === "number" ? new Date(value * 1e3) : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+function detectConversationExportFormat(data) {
+  const first = Array.isArray(data) ? data[0] : data;
+  if (!first || typeof first !== "object")
+    return null;
+  if (first.mapping && typeof first.mapping === "object")
+    return "chatgpt";
+  if (Array.isArray(first.chat_messages))
+    return "claude";
+  return null;
+}
+function getChatGptMessageText(message) {
+  const content = message.content;
+  if (!content)
+    return "";
+  if (Array.isArray(content.parts))
+    return content.parts.map((part) => typeof part === "string" ? part : part && typeof part.text === "string" ? part.text : part && part.content_type === "image_asset_pointer" ? "[image]" : "").join("\n").trim();
+  return typeof content.text === "string" ? content.text.trim() : "";
+}
+function parseChatGptConversation(conversation) {
+  const mapping = conversation.mapping || {};
+  const messages = {};
+  for (const [nodeId, entry] of Object.entries(mapping)) {
+    const message = entry && entry.message;
+    const role = message && message.author ? message.author.role : null;
+    const isHidden = message && message.metadata && message.metadata.is_visually_hidden_from_conversation;
+    if (!message || role !== "user" && role !== "assistant" || isHidden)
+      continue;
+    const content = getChatGptMessageText(message);
+    if (!content)
+      continue;
+    messages[nodeId] = { role, content, createdDate: toIsoDate(message.create_time), model: message.metadata && message.metadata.model_slug || null };
+  }
+  const visibleAncestorCache = /* @__PURE__ */ new Map();
+  const findVisibleAncestor = (nodeId) => {
+    const path = [];
+    let currentId = nodeId;
+    let result = null;
+    while (currentId && mapping[currentId] && !path.includes(currentId)) {
+      if (visibleAncestorCache.has(currentId)) {
+        result = visibleAncestorCache.get(currentId);
+        break;
+      }
+      if (messages[currentId]) {
+        result = currentId;
+        break;
+      }
+      path.push(currentId);
+      currentId = mapping[currentId].parent;
+    }
+    for (const pathId of path)
+      visibleAncestorCache.set(pathId, result);
+    return result;
+  };
+  const nodes = {};
+  for (const [nodeId, message] of Object.entries(messages)) {
+    nodes[nodeId] = { ...message, parentId: findVisibleAncestor(mapping[nodeId].parent) };
+  }
+  const lastModel = Object.values(messages).reverse().find((message) => message.role === "assistant" && message.model);
+  return {
+    source: "chatgpt",
+    id: String(conversation.conversation_id || conversation.id || ""),
+    title: conversation.title || "",
+    model: conversation.default_model_slug || (lastModel ? lastModel.model : null),
+    createdDate: toIsoDate(conversation.create_time),
+    updatedDate: toIsoDate(conversation.update_time),
+    current: conversation.current_node ? findVisibleAncestor(conversation.current_node) : null,
+    nodes
+  };
+}
+function parseClaudeConversation(conversation) {
+  const chatMessages = (conversation.chat_messages || []).filter((message) => message && message.uuid);
+  const messageIds = new Set(chatMessages.map((message) => message.uuid));
+  const rawParentIds = {};
+  const nodes = {};
+  let previousId = null;
+  for (const message of chatMessages) {
+    rawParentIds[message.uuid] = message.parent_message_uuid !== void 0 ? messageIds.has(message.parent_message_uuid) ? message.parent_message_uuid : null : previousId;
+    previousId = message.uuid;
+    let content = typeof message.text === "string" ? message.text.trim() : "";
+    if (!content && Array.isArray(message.content))
+      content = message.content.filter((part) => part && part.type === "text" && typeof part.text === "string").map((part) => part.text).join("\n").trim();
+    if (!content)
+      continue;
+    nodes[message.uuid] = { role: message.sender === "human" ? "user" : message.sender || "assistant", content, createdDate: toIsoDate(message.created_at), parentId: null };
+  }
+  const findKeptAncestor = (nodeId) => {
+    const seen = /* @__PURE__ */ new Set();
+    while (nodeId && !nodes[nodeId] && !seen.has(nodeId)) {
+      seen.add(nodeId);
+      nodeId = rawParentIds[nodeId];
+    }
+    return nodeId && nodes[nodeId] ? nodeId : null;
+  };
+  for (const nodeId of Object.keys(nodes))
+    nodes[nodeId].parentId = findKeptAncestor(rawParentIds[nodeId]);
+  return {
+    source: "claude",
+    id: String(conversation.uuid || ""),
+    title: conversation.name || "",
+    model: conversation.model || null,
+    createdDate: toIsoDate(conversation.created_at),
+    updatedDate: toIsoDate(conversation.updated_at),
+    current: findKeptAncestor(previousId),
+    nodes
+  };
+}
+function getConversationNoteBaseName(conversation) {
+  const title = (conversation.title || "Untitled conversation").replace(/[\\/:*?"<>|#^[\]]/g, "-").replace(/\s+/g, " ").trim().slice(0, 80);
+  return `${title || "Untitled conversation"} (${conversation.id.slice(0, 8)})`;
+}
+function buildConversationNoteContent(conversation, treePath, preservedText) {
+  const nodeIds = Object.keys(conversation.nodes);
+  const parentIds = new Set(nodeIds.map((nodeId) => conversation.nodes[nodeId].parentId).filter(Boolean));
+  const branchCount = nodeIds.filter((nodeId) => !parentIds.has(nodeId)).length;
+  const pathIds = conversation.current ? getLoomAncestorIds(conversation.nodes, conversation.current) : [];
+  let content = `---
+artifactType: conversation
+conversationSource: ${conversation.source}
+conversationId: ${JSON.stringify(conversation.id)}
+title: ${JSON.stringify(conversation.title || "")}
+model: ${JSON.stringify(conversation.model || "")}
+createdDate: ${conversation.createdDate || ""}
+updatedDate: ${conversation.updatedDate || ""}
+importedDate: ${(/* @__PURE__ */ new Date()).toISOString()}
+messageCount: ${nodeIds.length}
+branchCount: ${branchCount}
+conversationTreeFile: ${JSON.stringify(treePath)}
+---
+
+# ${conversation.title || "Untitled conversation"}
+
+`;
+  if (branchCount > 1)
+    content += `> [!info] This conversation has ${branchCount} branches. The transcript below follows the branch that was open last; every branch is searchable in the Loom index.
+
+`;
+  for (const nodeId of pathIds) {
+    const node = conversation.nodes[nodeId];
+    content += `### ${getConversationRoleLabel(node.role)}
+
+${node.content}
+
+`;
+  }
+  return `${content}${CONVERSATION_NOTE_END_MARKER}
+${preservedText}`;
+}
+function getLoomSourceInfoSignature(sourcePath, info) {
+  return `${sourcePath}|${info.mtime}:${info.size}:${info.count || 0}`;
+}
+var LOOM_SOURCE_TYPES = {
+  loomsidian: {
+    label: "Loomsidian data.json",
+    pathDescription: "Path of a Loomsidian data.json file, relative to the vault root (e.g. of a second Loom plugin install).",
+    getInfo: (plugin, source) => plugin.getLoomDataFileInfo(false, source.path),
+    read: (plugin, source, showNotices) => plugin.readLoomData(showNotices, source.path)
+  },
+  "json-folder": {
+    label: "Folder of conversation JSON files",
+    pathDescription: "Vault folder whose .json files each hold one conversation: a node tree ({ nodes: { id: { text, parentId } } }, as in .loomartifact.json exports) or a list of messages ({ messages: [...] } or a plain array).",
+    getInfo: async (plugin, source) => {
+      const folder = plugin.app.vault.getAbstractFileByPath((0, import_obsidian.normalizePath)(source.path));
+      if (!(folder instanceof import_obsidian.TFolder))
+        return { exists: false, mtime: 0, size: 0, count: 0 };
+      const files = plugin.getConversationFolderFiles(source.path);
+      return {
+        exists: true,
+        mtime: files.reduce((latest, file) => Math.max(latest, file.stat.mtime), 0),
+        size: files.reduce((total, file) => total + file.stat.size, 0),
+        count: files.length
+      };
+    },
+    read: async (plugin, source) => {
+      const state = {};
+      for (const file of plugin.getConversationFolderFiles(source.path)) {
+        try {
+          const data = JSON.parse(await plugin.app.vault.adapter.read(file.path));
+          const docState = normalizeConversationDocument(data);
+          const documentPath = data && typeof data.documentPath === "string" && !state[data.documentPath] ? data.documentPath : file.path;
+          if (docState)
+            state[documentPath] = docState;
+          else
+            console.warn(`Skipping ${file.path}: not a recognised conversation format.`);
+        } catch (err) {
+          console.warn(`Skipping ${file.path}: could not be read as JSON.`, err);
+        }
+      }
+      return { state };
+    }
   }
 };
-var LOOM_DATA_PATH = ".obsidian/plugins/loom/data.json";
 var Artifacting = class extends import_obsidian.Plugin {
   constructor(app, manifest) {
     super(app, manifest);
@@ -411,12 +3223,43 @@ var Artifacting = class extends import_obsidian.Plugin {
     this.processedScreenshotPaths = [];
     this.lastLoomDataBackupSize = 0;
     this.dailyLoomBackupIntervalId = null;
+    this.loomIndexSourceInfo = {};
+    this.loomIndexUpdateInProgress = false;
+    this.loomIndexWatchIntervalId = null;
+    this.loomIndexUpdateTimeoutId = null;
+    this.loomBackupPromise = null;
+    this.loomSearchIndex = null;
+    this.loomNodeTokensCache = null;
+    this.loomBoundaryTerms = null;
+    this.loomNodeDepthCache = null;
+    this.loomChildrenMap = null;
+    this.pinnedLoomBackups = {};
+    this.loomNodeNotes = {};
+    this.pluginDataSaveTimeoutId = null;
+    this.ocrQueue = [];
+    this.ocrQueuePaused = false;
+    this.ocrQueueReady = false;
+    this.ocrActiveJobs = /* @__PURE__ */ new Set();
+    this.ocrRunStats = { done: 0, failed: 0 };
+    this.ocrStatusBarEl = null;
+    this.ocrRetryTimeoutId = null;
+    this.tesseractWorker = null;
+    this.imageHashCache = /* @__PURE__ */ new Map();
+    this.inboxWatchReady = false;
+    this.inboxWatchTimeoutId = null;
+    this.pendingInboxPaths = /* @__PURE__ */ new Set();
+    this.dismissedInboxPaths = /* @__PURE__ */ new Set();
+    this.inboxSettleRounds = /* @__PURE__ */ new Map();
+    this.screenshotProcessingInProgress = false;
     this.settings = { ...DEFAULT_SETTINGS };
   }
   async onload() {
     console.log("Loading Artifacting plugin");
     await this.loadPluginSettingsAndData();
     this.addSettingTab(new ArtifactingSettingTab(this.app, this));
+    this.registerView(LOOM_TREE_VIEW_TYPE, (leaf) => new LoomTreeView(leaf, this));
+    this.registerView(LOOM_BACKUP_DIFF_VIEW_TYPE, (leaf) => new LoomBackupDiffView(leaf, this));
+    this.registerView(LOOM_BOOKMARKS_VIEW_TYPE, (leaf) => new LoomBookmarksView(leaf, this));
     this.addCommand({
       id: "index-looms",
       name: "Index Loom Data",
@@ -435,6 +3278,43 @@ var Artifacting = class extends import_obsidian.Plugin {
         new LoomSearchModal(this.app, this).open();
       }
     });
+    this.addCommand({
+      id: "search-loom-paths",
+      name: "Search Loom Paths (across nodes)",
+      callback: () => {
+        if (Object.keys(this.index).length === 0) {
+          new import_obsidian.Notice('Loom Index is empty. Run "Index Loom Data" first.');
+          return;
+        }
+        new LoomSearchModal(this.app, this, "path").open();
+      }
+    });
+    this.addCommand({
+      id: "open-loom-tree-explorer",
+      name: "Open Loom Tree Explorer",
+      callback: async () => {
+        await this.openLoomTreeView(null);
+      }
+    });
+    this.addCommand({
+      id: "promote-current-loom-node",
+      name: "Promote current Loomsidian node to note",
+      checkCallback: (checking) => {
+        const activeFile = this.app.workspace.getActiveFile();
+        if (!activeFile || activeFile.extension !== "md")
+          return false;
+        if (!checking)
+          this.promoteCurrentLoomNode(activeFile);
+        return true;
+      }
+    });
+    this.addCommand({
+      id: "open-loom-bookmarks",
+      name: "Open Loom bookmarks",
+      callback: async () => {
+        await this.openLoomBookmarksView();
+      }
+    });
     this.addCommand({
       id: "process-screenshots",
       name: "Process New Screenshots",
@@ -443,29 +3323,76 @@ var Artifacting = class extends import_obsidian.Plugin {
       }
     });
     this.addCommand({
-      id: "search-screenshots",
-      name: "Search Screenshots (OCR Text)",
-      callback: () => {
-        if (Object.keys(this.screenshotIndex).length === 0) {
-          new import_obsidian.Notice('Screenshot index is empty. Run "Scan/Update OCR for All Images" or process some screenshots first.');
-          return;
-        }
-        new ScreenshotSearchModal(this.app, this).open();
+      id: "search-screenshots",
+      name: "Search Screenshots (OCR Text)",
+      callback: () => {
+        if (Object.keys(this.screenshotIndex).length === 0) {
+          new import_obsidian.Notice('Screenshot index is empty. Run "Scan/Update OCR for All Images" or process some screenshots first.');
+          return;
+        }
+        new ScreenshotSearchModal(this.app, this).open();
+      }
+    });
+    this.addCommand({
+      id: "paste-image-from-clipboard",
+      name: "Create Note from Clipboard Image",
+      hotkeys: [{ modifiers: ["Mod", "Shift"], key: "V" }],
+      callback: async () => {
+        await this.handlePasteFromClipboard();
+      }
+    });
+    this.addCommand({
+      id: "scan-all-images-ocr",
+      name: "Scan/Update OCR for All Images in Vault",
+      callback: async () => {
+        await this.indexAllImagesOCR(true);
+      }
+    });
+    this.addCommand({
+      id: "pause-ocr-queue",
+      name: "Pause OCR queue",
+      checkCallback: (checking) => {
+        if (this.ocrQueuePaused)
+          return false;
+        if (!checking)
+          this.setOcrQueuePaused(true);
+        return true;
+      }
+    });
+    this.addCommand({
+      id: "resume-ocr-queue",
+      name: "Resume OCR queue",
+      checkCallback: (checking) => {
+        if (!this.ocrQueuePaused)
+          return false;
+        if (!checking)
+          this.setOcrQueuePaused(false);
+        return true;
+      }
+    });
+    this.addCommand({
+      id: "retry-failed-ocr",
+      name: "Retry failed OCR",
+      callback: async () => {
+        await this.retryFailedOcr();
       }
     });
     this.addCommand({
-      id: "paste-image-from-clipboard",
-      name: "Create Note from Clipboard Image",
-      hotkeys: [{ modifiers: ["Mod", "Shift"], key: "V" }],
+      id: "write-ocr-text-to-notes",
+      name: "Write OCR text into artifact notes",
       callback: async () => {
-        await this.handlePasteFromClipboard();
+        await this.writeAllOcrTextToNotes();
       }
     });
     this.addCommand({
-      id: "scan-all-images-ocr",
-      name: "Scan/Update OCR for All Images in Vault",
-      callback: async () => {
-        await this.indexAllImagesOCR(true);
+      id: "cancel-ocr-queue",
+      name: "Cancel pending OCR jobs",
+      checkCallback: (checking) => {
+        if (this.ocrQueue.length === 0)
+          return false;
+        if (!checking)
+          this.cancelOcrQueue();
+        return true;
       }
     });
     this.addCommand({
@@ -482,6 +3409,20 @@ var Artifacting = class extends import_obsidian.Plugin {
         return false;
       }
     });
+    this.addCommand({
+      id: "find-duplicate-artifacts",
+      name: "Find duplicate artifacts",
+      callback: async () => {
+        await this.findDuplicateArtifacts();
+      }
+    });
+    this.addCommand({
+      id: "find-duplicate-images",
+      name: "Find duplicate images",
+      callback: async () => {
+        await this.findDuplicateImages();
+      }
+    });
     this.addCommand({
       id: "merge-notes",
       name: "Merge Notes...",
@@ -500,6 +3441,37 @@ var Artifacting = class extends import_obsidian.Plugin {
         await this.triggerLoomBackupCheck(true);
       }
     });
+    this.addCommand({
+      id: "compare-loom-backups",
+      name: "Compare Loom backups",
+      callback: async () => {
+        const backups = await this.listLoomBackups();
+        if (backups.length === 0) {
+          new import_obsidian.Notice(`No Loom backups found in ${this.settings.loomBackupFolderPath}.`);
+          return;
+        }
+        new LoomBackupCompareModal(this.app, this, backups).open();
+      }
+    });
+    this.addCommand({
+      id: "verify-loom-backups",
+      name: "Verify Loom backups",
+      callback: async () => {
+        await this.verifyAllLoomBackups();
+      }
+    });
+    this.addCommand({
+      id: "restore-loom-backup",
+      name: "Restore Loom backup...",
+      callback: async () => {
+        const backups = await this.listLoomBackups();
+        if (backups.length === 0) {
+          new import_obsidian.Notice(`No Loom backups found in ${this.settings.loomBackupFolderPath}.`);
+          return;
+        }
+        new LoomBackupRestoreModal(this.app, this, backups).open();
+      }
+    });
     this.addCommand({
       id: "export-active-document-loom",
       name: "Export active document's Loom to standalone artifact",
@@ -514,6 +3486,60 @@ var Artifacting = class extends import_obsidian.Plugin {
         return false;
       }
     });
+    this.addCommand({
+      id: "export-all-looms",
+      name: "Export all Loom documents...",
+      callback: async () => {
+        const documents = await this.collectLoomDocuments();
+        if (documents.length === 0) {
+          new import_obsidian.Notice("No Loom documents to export.");
+          return;
+        }
+        new LoomBatchExportModal(this.app, this, documents.map((doc) => doc.key)).open();
+      }
+    });
+    this.addCommand({
+      id: "export-active-document-loom-canvas",
+      name: "Export active document's Loom as Canvas",
+      checkCallback: (checking) => {
+        const activeFile = this.app.workspace.getActiveFile();
+        if (activeFile && activeFile.extension === "md") {
+          if (!checking) {
+            this.exportFullLoomForDocument(activeFile, ["canvas"]);
+          }
+          return true;
+        }
+        return false;
+      }
+    });
+    this.addCommand({
+      id: "export-active-document-loom-html",
+      name: "Export active document's Loom as HTML",
+      checkCallback: (checking) => {
+        const activeFile = this.app.workspace.getActiveFile();
+        if (activeFile && activeFile.extension === "md") {
+          if (!checking) {
+            this.exportFullLoomForDocument(activeFile, ["html"]);
+          }
+          return true;
+        }
+        return false;
+      }
+    });
+    this.addCommand({
+      id: "import-conversation-export",
+      name: "Import conversation export (ChatGPT / Claude)",
+      callback: () => {
+        this.startConversationImport();
+      }
+    });
+    this.addCommand({
+      id: "import-loom-artifact",
+      name: "Import Loom artifact into Loomsidian",
+      callback: () => {
+        this.startLoomArtifactImport();
+      }
+    });
     this.registerEvent(
       this.app.workspace.on("file-menu", (menu, file, source) => {
         if (source === "file-explorer-context-menu") {
@@ -527,13 +3553,48 @@ var Artifacting = class extends import_obsidian.Plugin {
         }
       })
     );
-    await this.buildLoomIndex(false);
+    this.registerEvent(
+      this.app.vault.on("create", (file) => {
+        this.handleInboxFileEvent(file);
+      })
+    );
+    this.registerEvent(
+      this.app.vault.on("rename", (file, oldPath) => {
+        this.handleVaultRename(file, oldPath);
+        this.handleInboxFileEvent(file);
+      })
+    );
+    this.registerEvent(
+      this.app.vault.on("delete", (file) => {
+        this.handleVaultDelete(file);
+      })
+    );
+    this.registerEvent(
+      this.app.vault.on("modify", (file) => {
+        this.handleVaultModify(file);
+        this.handleInboxFileEvent(file);
+      })
+    );
+    this.ocrStatusBarEl = this.addStatusBarItem();
+    this.ocrStatusBarEl.addClass("artifacting-ocr-status");
+    this.ocrStatusBarEl.onClickEvent(() => this.setOcrQueuePaused(!this.ocrQueuePaused));
+    this.updateOcrStatusBar();
+    await this.updateLoomIndexIfChanged();
+    this.rescheduleLoomIndexWatch();
     this.app.workspace.onLayoutReady(async () => {
       console.log("Obsidian layout ready.");
       await new Promise((resolve) => setTimeout(resolve, 1500));
       console.log("Initial delay complete, proceeding with startup tasks for Artifacting.");
       await this.triggerLoomBackupCheck();
+      this.ocrQueueReady = true;
+      if (this.ocrQueue.length > 0)
+        console.log(`Resuming ${this.ocrQueue.length} pending OCR job(s) from the last session.`);
+      this.pumpOcrQueue();
+      this.scheduleOcrRetries();
       await this.processScreenshots(false);
+      this.inboxWatchReady = true;
+      if (this.pendingInboxPaths.size > 0)
+        this.scheduleInboxProcessing();
     });
     this.rescheduleDailyLoomBackupCheck();
   }
@@ -543,6 +3604,26 @@ var Artifacting = class extends import_obsidian.Plugin {
       window.clearInterval(this.dailyLoomBackupIntervalId);
       this.dailyLoomBackupIntervalId = null;
     }
+    if (this.loomIndexWatchIntervalId !== null) {
+      window.clearInterval(this.loomIndexWatchIntervalId);
+      this.loomIndexWatchIntervalId = null;
+    }
+    if (this.pluginDataSaveTimeoutId !== null) {
+      window.clearTimeout(this.pluginDataSaveTimeoutId);
+      this.pluginDataSaveTimeoutId = null;
+    }
+    if (this.loomIndexUpdateTimeoutId !== null) {
+      window.clearTimeout(this.loomIndexUpdateTimeoutId);
+      this.loomIndexUpdateTimeoutId = null;
+    }
+    if (this.ocrRetryTimeoutId !== null) {
+      window.clearTimeout(this.ocrRetryTimeoutId);
+      this.ocrRetryTimeoutId = null;
+    }
+    this.cancelInboxWatch();
+    this.inboxWatchReady = false;
+    this.ocrQueueReady = false;
+    this.terminateTesseractWorker();
     await this.savePluginData();
   }
   async loadPluginSettingsAndData() {
@@ -556,25 +3637,69 @@ var Artifacting = class extends import_obsidian.Plugin {
         enableLoomBackup: typeof loadedData.enableLoomBackup === "boolean" ? loadedData.enableLoomBackup : DEFAULT_SETTINGS.enableLoomBackup,
         loomBackupFolderPath: loadedData.loomBackupFolderPath || DEFAULT_SETTINGS.loomBackupFolderPath,
         maxLoomBackups: typeof loadedData.maxLoomBackups === "number" ? loadedData.maxLoomBackups : DEFAULT_SETTINGS.maxLoomBackups,
+        loomBackupKeepHourly: typeof loadedData.loomBackupKeepHourly === "number" ? loadedData.loomBackupKeepHourly : DEFAULT_SETTINGS.loomBackupKeepHourly,
+        loomBackupKeepDaily: typeof loadedData.loomBackupKeepDaily === "number" ? loadedData.loomBackupKeepDaily : DEFAULT_SETTINGS.loomBackupKeepDaily,
+        loomBackupKeepWeekly: typeof loadedData.loomBackupKeepWeekly === "number" ? loadedData.loomBackupKeepWeekly : DEFAULT_SETTINGS.loomBackupKeepWeekly,
+        loomBackupKeepMonthly: typeof loadedData.loomBackupKeepMonthly === "number" ? loadedData.loomBackupKeepMonthly : DEFAULT_SETTINGS.loomBackupKeepMonthly,
         loomBackupGrowthThresholdKB: typeof loadedData.loomBackupGrowthThresholdKB === "number" ? loadedData.loomBackupGrowthThresholdKB : DEFAULT_SETTINGS.loomBackupGrowthThresholdKB,
         enableDailyLoomBackupCheck: typeof loadedData.enableDailyLoomBackupCheck === "boolean" ? loadedData.enableDailyLoomBackupCheck : DEFAULT_SETTINGS.enableDailyLoomBackupCheck,
         dailyLoomBackupCheckTime: loadedData.dailyLoomBackupCheckTime || DEFAULT_SETTINGS.dailyLoomBackupCheckTime,
         enableNewScreenshotTag: typeof loadedData.enableNewScreenshotTag === "boolean" ? loadedData.enableNewScreenshotTag : DEFAULT_SETTINGS.enableNewScreenshotTag,
         newScreenshotTagName: loadedData.newScreenshotTagName || DEFAULT_SETTINGS.newScreenshotTagName,
-        loomExportsFolderPath: loadedData.loomExportsFolderPath || DEFAULT_SETTINGS.loomExportsFolderPath
+        watchScreenshotInputFolder: typeof loadedData.watchScreenshotInputFolder === "boolean" ? loadedData.watchScreenshotInputFolder : DEFAULT_SETTINGS.watchScreenshotInputFolder,
+        loomExportsFolderPath: loadedData.loomExportsFolderPath || DEFAULT_SETTINGS.loomExportsFolderPath,
+        loomPromotedNotesFolderPath: loadedData.loomPromotedNotesFolderPath || DEFAULT_SETTINGS.loomPromotedNotesFolderPath,
+        conversationImportFolderPath: loadedData.conversationImportFolderPath || DEFAULT_SETTINGS.conversationImportFolderPath,
+        duplicateSimilarityThreshold: typeof loadedData.duplicateSimilarityThreshold === "number" ? loadedData.duplicateSimilarityThreshold : DEFAULT_SETTINGS.duplicateSimilarityThreshold,
+        duplicateImageMaxDistance: typeof loadedData.duplicateImageMaxDistance === "number" ? loadedData.duplicateImageMaxDistance : DEFAULT_SETTINGS.duplicateImageMaxDistance,
+        duplicateScreenshotAction: ["ask", "skip", "link", "keep"].includes(loadedData.duplicateScreenshotAction) ? loadedData.duplicateScreenshotAction : DEFAULT_SETTINGS.duplicateScreenshotAction,
+        ocrConcurrency: typeof loadedData.ocrConcurrency === "number" ? loadedData.ocrConcurrency : DEFAULT_SETTINGS.ocrConcurrency,
+        writeOcrTextToNotes: typeof loadedData.writeOcrTextToNotes === "boolean" ? loadedData.writeOcrTextToNotes : DEFAULT_SETTINGS.writeOcrTextToNotes,
+        ocrEngines: Array.isArray(loadedData.ocrEngines) ? loadedData.ocrEngines.filter((engine) => engine && OCR_ENGINES[engine.type]) : DEFAULT_SETTINGS.ocrEngines.map((engine) => ({ ...engine })),
+        ocrLanguage: loadedData.ocrLanguage || DEFAULT_SETTINGS.ocrLanguage,
+        ocrHttpEndpoint: typeof loadedData.ocrHttpEndpoint === "string" ? loadedData.ocrHttpEndpoint : DEFAULT_SETTINGS.ocrHttpEndpoint,
+        loomSources: Array.isArray(loadedData.loomSources) ? loadedData.loomSources : DEFAULT_SETTINGS.loomSources.map((source) => ({ ...source })),
+        enableLoomIndexWatch: typeof loadedData.enableLoomIndexWatch === "boolean" ? loadedData.enableLoomIndexWatch : DEFAULT_SETTINGS.enableLoomIndexWatch,
+        loomIndexWatchIntervalSeconds: typeof loadedData.loomIndexWatchIntervalSeconds === "number" ? loadedData.loomIndexWatchIntervalSeconds : DEFAULT_SETTINGS.loomIndexWatchIntervalSeconds,
+        loomExportIncludeCanvas: typeof loadedData.loomExportIncludeCanvas === "boolean" ? loadedData.loomExportIncludeCanvas : DEFAULT_SETTINGS.loomExportIncludeCanvas,
+        loomExportIncludeHtml: typeof loadedData.loomExportIncludeHtml === "boolean" ? loadedData.loomExportIncludeHtml : DEFAULT_SETTINGS.loomExportIncludeHtml
       };
       this.index = loadedData.loomIndex || {};
       this.screenshotIndex = loadedData.screenshotIndex || {};
       this.processedScreenshotPaths = loadedData.processedScreenshotPaths || [];
       this.lastLoomDataBackupSize = typeof loadedData.lastLoomDataBackupSize === "number" ? loadedData.lastLoomDataBackupSize : 0;
+      this.loomIndexSourceInfo = loadedData.loomIndexSourceInfo && typeof loadedData.loomIndexSourceInfo.mtime === "number" ? { [LOOM_PRIMARY_SOURCE_ID]: getLoomSourceInfoSignature(LOOM_DATA_PATH, loadedData.loomIndexSourceInfo) } : loadedData.loomIndexSourceInfo || {};
+      this.pinnedLoomBackups = loadedData.pinnedLoomBackups || {};
+      this.loomNodeNotes = loadedData.loomNodeNotes || {};
+      this.ocrQueue = Array.isArray(loadedData.ocrQueue) ? loadedData.ocrQueue : [];
+      this.ocrQueuePaused = loadedData.ocrQueuePaused === true;
     } else {
-      this.settings = { ...DEFAULT_SETTINGS };
+      this.settings = { ...DEFAULT_SETTINGS, loomSources: DEFAULT_SETTINGS.loomSources.map((source) => ({ ...source })), ocrEngines: DEFAULT_SETTINGS.ocrEngines.map((engine) => ({ ...engine })) };
       this.index = {};
       this.screenshotIndex = {};
       this.processedScreenshotPaths = [];
       this.lastLoomDataBackupSize = 0;
+      this.loomIndexSourceInfo = {};
+      this.pinnedLoomBackups = {};
+      this.loomNodeNotes = {};
+      this.ocrQueue = [];
+      this.ocrQueuePaused = false;
+    }
+    if (!this.settings.loomSources.some((source) => source.id === LOOM_PRIMARY_SOURCE_ID))
+      this.settings.loomSources.unshift({ ...DEFAULT_SETTINGS.loomSources[0] });
+    for (const type of Object.keys(OCR_ENGINES)) {
+      if (!this.settings.ocrEngines.some((engine) => engine.type === type))
+        this.settings.ocrEngines.push({ type, enabled: false });
     }
-    console.log(`Loaded plugin data: ${Object.keys(this.index || {}).length} loom nodes, ${Object.keys(this.screenshotIndex || {}).length} screenshots indexed, ${((_a = this.processedScreenshotPaths) == null ? void 0 : _a.length) || 0} processed paths, lastLoomBackupSize: ${this.lastLoomDataBackupSize}`);
+    for (const info of Object.values(this.screenshotIndex)) {
+      if (info.ocrEngine === void 0 && info.lastOcrAttemptDate && !info.ocrError)
+        info.ocrEngine = "text-extractor";
+    }
+    for (const node of Object.values(this.index)) {
+      if (!node.sourceId)
+        node.sourceId = LOOM_PRIMARY_SOURCE_ID;
+    }
+    console.log(`Loaded plugin data: ${Object.keys(this.index || {}).length} loom nodes, ${Object.keys(this.screenshotIndex || {}).length} screenshots indexed, ${((_a = this.processedScreenshotPaths) == null ? void 0 : _a.length) || 0} processed paths, ${this.ocrQueue.length} pending OCR job(s), lastLoomBackupSize: ${this.lastLoomDataBackupSize}`);
   }
   async savePluginData() {
     const dataToSave = {
@@ -582,7 +3707,12 @@ var Artifacting = class extends import_obsidian.Plugin {
       loomIndex: this.index,
       screenshotIndex: this.screenshotIndex,
       processedScreenshotPaths: this.processedScreenshotPaths,
-      lastLoomDataBackupSize: this.lastLoomDataBackupSize
+      lastLoomDataBackupSize: this.lastLoomDataBackupSize,
+      loomIndexSourceInfo: this.loomIndexSourceInfo,
+      pinnedLoomBackups: this.pinnedLoomBackups,
+      loomNodeNotes: this.loomNodeNotes,
+      ocrQueue: this.ocrQueue,
+      ocrQueuePaused: this.ocrQueuePaused
     };
     await this.saveData(dataToSave);
     console.log("Saved plugin data.");
@@ -590,37 +3720,74 @@ var Artifacting = class extends import_obsidian.Plugin {
   async savePluginSettings() {
     await this.savePluginData();
   }
-  getTextExtractor() {
-    return getTextExtractorApi(this.app);
+  getEnabledOcrEngineTypes() {
+    return this.settings.ocrEngines.filter((engine) => engine.enabled && OCR_ENGINES[engine.type]).map((engine) => engine.type);
+  }
+  getOcrLanguages() {
+    return this.settings.ocrLanguage.split("+").map((language) => language.trim()).filter(Boolean);
+  }
+  getTesseractAssetsPath() {
+    return (0, import_obsidian.normalizePath)(`${this.manifest.dir}/${TESSERACT_ASSETS_FOLDER}`);
+  }
+  getTesseractWorker() {
+    const language = this.getOcrLanguages().join("+");
+    if (!this.tesseractWorker || this.tesseractWorker.language !== language) {
+      this.terminateTesseractWorker();
+      const workerPromise = this.createTesseractWorker(language);
+      this.tesseractWorker = { language, workerPromise };
+      workerPromise.catch(() => {
+        if (this.tesseractWorker && this.tesseractWorker.workerPromise === workerPromise)
+          this.tesseractWorker = null;
+      });
+    }
+    return this.tesseractWorker.workerPromise;
+  }
+  async createTesseractWorker(language) {
+    const assetsPath = this.getTesseractAssetsPath();
+    const getAssetUrl = (relativePath) => this.app.vault.adapter.getResourcePath((0, import_obsidian.normalizePath)(`${assetsPath}/${relativePath}`)).replace(/\?.*$/, "");
+    const { default: Tesseract } = await import(getAssetUrl("tesseract.esm.min.js"));
+    const workerSource = await this.app.vault.adapter.read((0, import_obsidian.normalizePath)(`${assetsPath}/worker.min.js`));
+    const workerUrl = URL.createObjectURL(new Blob([workerSource], { type: "application/javascript" }));
+    console.log(`Starting bundled tesseract.js worker for "${language}".`);
+    try {
+      return await Tesseract.createWorker(language, Tesseract.OEM.LSTM_ONLY, {
+        workerPath: workerUrl,
+        workerBlobURL: false,
+        corePath: getAssetUrl("core"),
+        langPath: getAssetUrl("lang"),
+        cacheMethod: "none",
+        gzip: true
+      });
+    } finally {
+      URL.revokeObjectURL(workerUrl);
+    }
+  }
+  terminateTesseractWorker() {
+    if (!this.tesseractWorker)
+      return;
+    const { workerPromise } = this.tesseractWorker;
+    this.tesseractWorker = null;
+    workerPromise.then((worker) => worker.terminate()).catch((err) => {
+      console.warn("Failed to stop tesseract.js worker:", err);
+    });
   }
   async indexAllImagesOCR(isManualRun = false) {
-    const textExtractor = this.getTextExtractor();
-    if (!textExtractor) {
-      new import_obsidian.Notice("Text Extractor plugin not found or not accessible. OCR scan aborted. Please install/enable it.", 0);
-      console.warn("Text Extractor API not available for OCR scan.");
+    if (this.getEnabledOcrEngineTypes().length === 0) {
+      new import_obsidian.Notice("No OCR engine is enabled. OCR scan aborted. Enable one under OCR Engines in the Artifacting settings.", 0);
+      console.warn("No OCR engine enabled for OCR scan.");
       return;
     }
-    const initialMessage = "Starting vault-wide image OCR scan... This may take a while.";
-    console.log(initialMessage);
-    const progressNotice = isManualRun ? new import_obsidian.Notice(initialMessage, 0) : null;
     const allFiles = this.app.vault.getFiles();
     const imageFiles = allFiles.filter(
       (file) => ["png", "jpg", "jpeg", "gif", "bmp", "webp"].includes(file.extension.toLowerCase())
     );
-    let newlyOcrCount = 0;
-    const totalImages = imageFiles.length;
-    for (let i = 0; i < totalImages; i++) {
-      const imageFile = imageFiles[i];
-      if (isManualRun) {
-        const noticeMessage = `OCR Scan: Processing ${i + 1}/${totalImages} - ${imageFile.name}`;
-        new import_obsidian.Notice(noticeMessage, 3e3);
-      }
-      console.log(`OCR Scan: Processing ${i + 1}/${totalImages} - ${imageFile.name}`);
-      let existingEntry = this.screenshotIndex[imageFile.path];
-      let shouldOcr = false;
+    const imagesToOcrPaths = [];
+    let changedCount = 0;
+    let retryCount = 0;
+    for (const imageFile of imageFiles) {
+      const existingEntry = this.screenshotIndex[imageFile.path];
       if (!existingEntry) {
-        shouldOcr = true;
-        existingEntry = {
+        this.screenshotIndex[imageFile.path] = {
           imagePath: imageFile.path,
           notePath: null,
           ocrText: null,
@@ -628,48 +3795,253 @@ var Artifacting = class extends import_obsidian.Plugin {
           lastOcrAttemptDate: null,
           tags: []
         };
-      } else {
-        if (existingEntry.ocrText === null && existingEntry.ocrError === null) {
-          shouldOcr = true;
-        }
+        imagesToOcrPaths.push(imageFile.path);
+      } else if (isOcrImageChanged(existingEntry, imageFile.stat)) {
+        existingEntry.ocrAttempts = 0;
+        imagesToOcrPaths.push(imageFile.path);
+        changedCount++;
+      } else if (existingEntry.ocrText === null && existingEntry.ocrError === null) {
+        imagesToOcrPaths.push(imageFile.path);
+      } else if (isOcrRetryDue(existingEntry)) {
+        imagesToOcrPaths.push(imageFile.path);
+        retryCount++;
       }
-      if (shouldOcr && textExtractor.canFileBeExtracted(imageFile.path)) {
-        try {
-          const ocrTextResult = await textExtractor.extractText(imageFile);
-          console.log(`[RAW OCR - indexAllImagesOCR for ${imageFile.path}] Raw result type: ${typeof ocrTextResult}, Length: ${ocrTextResult == null ? void 0 : ocrTextResult.length}`);
-          console.log(`[RAW OCR - indexAllImagesOCR for ${imageFile.path}] First 500 chars:`, ocrTextResult == null ? void 0 : ocrTextResult.substring(0, 500));
-          existingEntry.ocrText = ocrTextResult && ocrTextResult.trim().length > 0 ? ocrTextResult.trim() : null;
-          existingEntry.ocrError = null;
-          newlyOcrCount++;
-        } catch (err) {
-          console.error(`  Text Extractor failed for ${imageFile.path}:`, err);
-          existingEntry.ocrError = err.message || "Unknown OCR error during scan";
-          existingEntry.ocrText = null;
-        }
-        existingEntry.lastOcrAttemptDate = Date.now();
-      } else if (shouldOcr) {
-        existingEntry.ocrError = "File type not processable by Text Extractor";
-        existingEntry.lastOcrAttemptDate = Date.now();
-        console.log(`  Skipping ${imageFile.path}, Text Extractor cannot process.`);
+    }
+    const queuedCount = await this.enqueueOcr(imagesToOcrPaths);
+    const finalMessage = `Image OCR scan: ${imageFiles.length} images checked, ${queuedCount} queued for OCR (${changedCount} changed since their last OCR, ${retryCount} failed retries).`;
+    console.log(finalMessage);
+    if (isManualRun)
+      new import_obsidian.Notice(queuedCount > 0 ? `${finalMessage} Progress is shown in the status bar.` : finalMessage, 5e3);
+  }
+  async enqueueOcr(imagePaths, prioritize = false) {
+    const queuedPaths = new Set(this.ocrQueue.map((job) => job.imagePath));
+    const newJobs = imagePaths.filter((imagePath) => !queuedPaths.has(imagePath)).map((imagePath) => ({ imagePath, queuedDate: Date.now() }));
+    if (newJobs.length === 0) {
+      this.schedulePluginDataSave();
+      return 0;
+    }
+    if (prioritize)
+      this.ocrQueue.unshift(...newJobs);
+    else
+      this.ocrQueue.push(...newJobs);
+    await this.savePluginData();
+    console.log(`Queued ${newJobs.length} image(s) for OCR (${this.ocrQueue.length} pending).`);
+    this.updateOcrStatusBar();
+    this.pumpOcrQueue();
+    return newJobs.length;
+  }
+  pumpOcrQueue() {
+    if (!this.ocrQueueReady || this.ocrQueuePaused)
+      return;
+    const concurrency = Math.max(1, this.settings.ocrConcurrency);
+    for (const job of this.ocrQueue) {
+      if (this.ocrActiveJobs.size >= concurrency)
+        break;
+      if (this.ocrActiveJobs.has(job.imagePath))
+        continue;
+      const activePath = job.imagePath;
+      this.ocrActiveJobs.add(activePath);
+      this.runOcrJob(job).catch((err) => {
+        console.error(`OCR job for ${activePath} failed unexpectedly:`, err);
+      }).finally(() => {
+        this.ocrActiveJobs.delete(activePath);
+        this.ocrQueue = this.ocrQueue.filter((queuedJob) => queuedJob !== job);
+        this.schedulePluginDataSave();
+        this.updateOcrStatusBar();
+        if (this.ocrQueue.length === 0 && this.ocrActiveJobs.size === 0)
+          this.finishOcrRun();
+        else
+          this.pumpOcrQueue();
+      });
+    }
+    this.updateOcrStatusBar();
+  }
+  async runOcrJob(job) {
+    const { imagePath } = job;
+    const entry = this.screenshotIndex[imagePath];
+    if (!entry) {
+      console.log(`OCR queue: ${imagePath} is no longer indexed, skipping.`);
+      return;
+    }
+    const imageFile = this.app.vault.getAbstractFileByPath(imagePath);
+    if (imageFile instanceof import_obsidian.TFile)
+      await this.getImagePerceptualHash(imageFile);
+    const succeeded = await this.ocrScreenshotEntry(entry);
+    if (succeeded)
+      this.ocrRunStats.done++;
+    else
+      this.ocrRunStats.failed++;
+    if (succeeded && this.settings.writeOcrTextToNotes) {
+      try {
+        await this.writeOcrTextToNote(entry);
+      } catch (err) {
+        console.error(`Failed to write OCR text into ${entry.notePath}:`, err);
       }
-      this.screenshotIndex[imageFile.path] = existingEntry;
-      if (isManualRun && (i + 1) % 20 === 0 && i + 1 < totalImages) {
-        new import_obsidian.Notice(`OCR Scan: Saved progress (${i + 1}/${totalImages})`, 2e3);
+    }
+  }
+  async writeOcrTextToNote(entry) {
+    if (!entry.notePath || entry.duplicateOf)
+      return false;
+    const noteFile = this.app.vault.getAbstractFileByPath(entry.notePath);
+    if (!(noteFile instanceof import_obsidian.TFile))
+      return false;
+    const oldContent = await this.app.vault.read(noteFile);
+    const newContent = replaceOcrNoteBlock(oldContent, entry.ocrText ? buildOcrNoteBlock(entry) : "", entry.imagePath);
+    if (newContent === oldContent)
+      return false;
+    await this.app.vault.modify(noteFile, newContent);
+    console.log(`Updated OCR text in ${noteFile.path}.`);
+    return true;
+  }
+  async writeAllOcrTextToNotes() {
+    const entries = Object.values(this.screenshotIndex).filter((info) => info.notePath && info.lastOcrAttemptDate && !info.ocrError);
+    let updatedCount = 0;
+    for (const entry of entries) {
+      try {
+        if (await this.writeOcrTextToNote(entry))
+          updatedCount++;
+      } catch (err) {
+        console.error(`Failed to write OCR text into ${entry.notePath}:`, err);
       }
     }
-    await this.savePluginData();
-    if (progressNotice)
-      progressNotice.hide();
-    const finalMessage = `Image OCR scan complete. ${newlyOcrCount} images OCR'd. ${totalImages} images checked/updated in index.`;
+    new import_obsidian.Notice(`OCR text written into ${updatedCount} note(s); ${entries.length - updatedCount} already up to date or missing.`);
+  }
+  async ocrScreenshotEntry(entry) {
+    const imageFile = this.app.vault.getAbstractFileByPath(entry.imagePath);
+    entry.lastOcrAttemptDate = Date.now();
+    entry.ocrAttempts = (entry.ocrAttempts || 0) + 1;
+    if (!(imageFile instanceof import_obsidian.TFile)) {
+      console.warn(`OCR: Image file not found at ${entry.imagePath}, skipping.`);
+      entry.ocrError = "Image file not found during OCR.";
+      return false;
+    }
+    entry.imageMtime = imageFile.stat.mtime;
+    entry.imageSize = imageFile.stat.size;
+    const engineTypes = this.getEnabledOcrEngineTypes();
+    if (engineTypes.length === 0) {
+      entry.ocrError = "OCR not performed: no OCR engine is enabled.";
+      return false;
+    }
+    const engineErrors = [];
+    for (const engineType of engineTypes) {
+      const engine = OCR_ENGINES[engineType];
+      try {
+        const unavailableReason = await engine.getUnavailableReason(this, imageFile);
+        if (unavailableReason) {
+          console.log(`OCR: ${engine.label} skipped for ${imageFile.name}: ${unavailableReason}.`);
+          engineErrors.push(`${engine.label}: ${unavailableReason}`);
+          continue;
+        }
+        const ocrTextResult = await engine.extractText(this, imageFile);
+        console.log(`[RAW OCR for ${imageFile.path} via ${engine.label}] Raw result type: ${typeof ocrTextResult}, Length: ${ocrTextResult == null ? void 0 : ocrTextResult.length}`);
+        entry.ocrText = ocrTextResult && ocrTextResult.trim().length > 0 ? ocrTextResult.trim() : null;
+        entry.ocrError = null;
+        entry.ocrEngine = engineType;
+        entry.ocrAttempts = 0;
+        return true;
+      } catch (err) {
+        console.error(`OCR: ${engine.label} failed for ${imageFile.path}:`, err);
+        engineErrors.push(`${engine.label}: ${err.message || "Unknown OCR error"}`);
+      }
+    }
+    entry.ocrError = engineErrors.join("; ");
+    entry.ocrText = null;
+    entry.ocrEngine = null;
+    return false;
+  }
+  finishOcrRun() {
+    const { done, failed } = this.ocrRunStats;
+    this.ocrRunStats = { done: 0, failed: 0 };
+    this.updateOcrStatusBar();
+    this.scheduleOcrRetries();
+    if (done + failed === 0)
+      return;
+    const finalMessage = `OCR finished. ${done}/${done + failed} image(s) successfully OCR'd.`;
     console.log(finalMessage);
-    if (isManualRun || newlyOcrCount < totalImages && totalImages > 0) {
-      new import_obsidian.Notice(finalMessage, newlyOcrCount < totalImages && totalImages > 0 && !isManualRun ? 0 : 5e3);
+    new import_obsidian.Notice(failed > 0 ? `${finalMessage} ${failed} failed; failed images are retried automatically, see "Search Screenshots" with ocr:error.` : finalMessage, failed > 0 ? 0 : 5e3);
+  }
+  scheduleOcrRetries() {
+    if (this.ocrRetryTimeoutId !== null) {
+      window.clearTimeout(this.ocrRetryTimeoutId);
+      this.ocrRetryTimeoutId = null;
+    }
+    if (!this.ocrQueueReady)
+      return;
+    const now = Date.now();
+    const duePaths = [];
+    let nextRetryDate = Infinity;
+    for (const entry of Object.values(this.screenshotIndex)) {
+      const retryDate = getOcrRetryDate(entry);
+      if (retryDate === null)
+        continue;
+      if (retryDate <= now)
+        duePaths.push(entry.imagePath);
+      else
+        nextRetryDate = Math.min(nextRetryDate, retryDate);
+    }
+    if (duePaths.length > 0) {
+      console.log(`Retrying OCR for ${duePaths.length} previously failed image(s).`);
+      this.enqueueOcr(duePaths);
+    }
+    if (nextRetryDate !== Infinity) {
+      this.ocrRetryTimeoutId = window.setTimeout(() => {
+        this.ocrRetryTimeoutId = null;
+        this.scheduleOcrRetries();
+      }, nextRetryDate - now);
     }
   }
-  async createNoteAndIndexScreenshot(imageFile, outputFolderRelPath) {
+  async retryFailedOcr() {
+    const failedPaths = Object.values(this.screenshotIndex).filter((info) => !!info.ocrError).map((info) => info.imagePath);
+    if (failedPaths.length === 0) {
+      new import_obsidian.Notice("No failed OCR entries to retry.");
+      return;
+    }
+    const queuedCount = await this.enqueueOcr(failedPaths, true);
+    new import_obsidian.Notice(`Retrying OCR for ${queuedCount} failed image(s).${queuedCount < failedPaths.length ? ` ${failedPaths.length - queuedCount} already queued.` : ""}`);
+  }
+  handleVaultModify(file) {
+    if (!(file instanceof import_obsidian.TFile))
+      return;
+    const entry = this.screenshotIndex[file.path];
+    if (!entry || !isOcrImageChanged(entry, file.stat))
+      return;
+    console.log(`Image ${file.path} changed since its last OCR, queueing it again.`);
+    entry.ocrAttempts = 0;
+    this.enqueueOcr([file.path]);
+  }
+  async setOcrQueuePaused(paused) {
+    this.ocrQueuePaused = paused;
+    await this.savePluginData();
+    new import_obsidian.Notice(paused ? `OCR queue paused${this.ocrActiveJobs.size > 0 ? " (running jobs will finish first)" : ""}. ${this.ocrQueue.length} job(s) pending.` : "OCR queue resumed.");
+    this.updateOcrStatusBar();
+    this.pumpOcrQueue();
+  }
+  async cancelOcrQueue() {
+    const cancelledCount = this.ocrQueue.filter((job) => !this.ocrActiveJobs.has(job.imagePath)).length;
+    this.ocrQueue = this.ocrQueue.filter((job) => this.ocrActiveJobs.has(job.imagePath));
+    await this.savePluginData();
+    new import_obsidian.Notice(`Cancelled ${cancelledCount} pending OCR job(s).${this.ocrActiveJobs.size > 0 ? ` ${this.ocrActiveJobs.size} running job(s) will finish.` : ""}`);
+    this.updateOcrStatusBar();
+    if (this.ocrQueue.length === 0 && this.ocrActiveJobs.size === 0)
+      this.finishOcrRun();
+  }
+  updateOcrStatusBar() {
+    if (!this.ocrStatusBarEl)
+      return;
+    const pending = this.ocrQueue.length;
+    if (pending === 0 && this.ocrActiveJobs.size === 0) {
+      this.ocrStatusBarEl.style.display = "none";
+      return;
+    }
+    this.ocrStatusBarEl.style.display = "";
+    const { done, failed } = this.ocrRunStats;
+    const total = done + failed + pending;
+    this.ocrStatusBarEl.setText(this.ocrQueuePaused ? `OCR paused (${pending} pending)` : `OCR ${done + failed}/${total}${failed > 0 ? ` \xB7 ${failed} failed` : ""}`);
+    this.ocrStatusBarEl.setAttr("aria-label", this.ocrQueuePaused ? "Click to resume OCR" : `${this.ocrActiveJobs.size} running. Click to pause OCR`);
+  }
+  async moveScreenshotToAttachmentFolder(imageFile) {
     const initialOriginalPath = imageFile.path;
     let currentImagePath = imageFile.path;
-    let movedFile = null;
     const attachmentLocationSetting = this.app.vault.getConfig("attachmentFolderPath");
     let targetAttachmentFolder = "";
     if (attachmentLocationSetting === "/") {
@@ -700,16 +4072,16 @@ var Artifacting = class extends import_obsidian.Plugin {
         console.log(`Moving ${initialOriginalPath} to ${desiredAttachmentPath}`);
         await this.app.vault.rename(imageFile, desiredAttachmentPath);
         currentImagePath = desiredAttachmentPath;
-        const abstractMovedFile = this.app.vault.getAbstractFileByPath(currentImagePath);
-        if (abstractMovedFile instanceof import_obsidian.TFile) {
-          movedFile = abstractMovedFile;
-        }
       } catch (err) {
         new import_obsidian.Notice(`Failed to move screenshot ${imageFile.name} to attachments folder. Note will link to original.`);
         console.error(`Failed to move screenshot ${initialOriginalPath} to attachments folder:`, err);
         currentImagePath = initialOriginalPath;
       }
     }
+    return currentImagePath;
+  }
+  async createNoteAndIndexScreenshot(imageFile, outputFolderRelPath) {
+    const currentImagePath = await this.moveScreenshotToAttachmentFolder(imageFile);
     const now = /* @__PURE__ */ new Date();
     const dateString = now.toISOString().split("T")[0];
     const noteName = `${imageFile.basename}_${dateString}.md`;
@@ -736,21 +4108,214 @@ ${embedLink}
       console.error(`Failed to create note: ${notePath}`, err);
       return null;
     }
-    const imagePathForIndex = movedFile ? movedFile.path : initialOriginalPath;
-    this.screenshotIndex[imagePathForIndex] = {
-      imagePath: imagePathForIndex,
+    this.screenshotIndex[currentImagePath] = {
+      imagePath: currentImagePath,
       notePath,
       ocrText: null,
       ocrError: null,
       lastOcrAttemptDate: null,
       tags: this.settings.enableNewScreenshotTag && this.settings.newScreenshotTagName ? [this.settings.newScreenshotTagName] : []
     };
-    return imagePathForIndex;
+    return currentImagePath;
+  }
+  async computeImagePerceptualHash(imageFile) {
+    const imageData = await this.app.vault.readBinary(imageFile);
+    const bitmap = await createImageBitmap(new Blob([imageData], { type: IMAGE_MIME_TYPES[imageFile.extension.toLowerCase()] || "application/octet-stream" }));
+    try {
+      const canvas = document.createElement("canvas");
+      canvas.width = IMAGE_HASH_SIZE + 1;
+      canvas.height = IMAGE_HASH_SIZE;
+      const context = canvas.getContext("2d");
+      context.imageSmoothingQuality = "high";
+      context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+      const grayscale = new Float32Array(canvas.width * canvas.height);
+      for (let i = 0; i < grayscale.length; i++)
+        grayscale[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+      return computeDHash(grayscale);
+    } finally {
+      bitmap.close();
+    }
+  }
+  async getImagePerceptualHash(imageFile) {
+    const entry = this.screenshotIndex[imageFile.path];
+    const cached = entry || this.imageHashCache.get(imageFile.path);
+    if (cached && cached.perceptualHashMtime === imageFile.stat.mtime)
+      return cached.perceptualHash || null;
+    let perceptualHash;
+    try {
+      perceptualHash = await this.computeImagePerceptualHash(imageFile);
+    } catch (err) {
+      console.warn(`Could not compute a perceptual hash for ${imageFile.path}:`, err);
+      perceptualHash = null;
+    }
+    if (entry) {
+      entry.perceptualHash = perceptualHash;
+      entry.perceptualHashMtime = imageFile.stat.mtime;
+    } else {
+      this.imageHashCache.set(imageFile.path, { perceptualHash, perceptualHashMtime: imageFile.stat.mtime });
+    }
+    return perceptualHash;
+  }
+  async findDuplicateArtifactImage(imageFile) {
+    const perceptualHash = await this.getImagePerceptualHash(imageFile);
+    if (!perceptualHash)
+      return null;
+    let match = null;
+    let hashedCount = 0;
+    for (const entry of Object.values(this.screenshotIndex)) {
+      if (entry.imagePath === imageFile.path || !entry.notePath || !(this.app.vault.getAbstractFileByPath(entry.notePath) instanceof import_obsidian.TFile))
+        continue;
+      const entryFile = this.app.vault.getAbstractFileByPath(entry.imagePath);
+      if (!(entryFile instanceof import_obsidian.TFile))
+        continue;
+      if (entry.perceptualHashMtime !== entryFile.stat.mtime)
+        hashedCount++;
+      const entryHash = await this.getImagePerceptualHash(entryFile);
+      if (!entryHash)
+        continue;
+      const distance = getHashHammingDistance(perceptualHash, entryHash);
+      if (distance <= this.settings.duplicateImageMaxDistance && (!match || distance < match.distance))
+        match = { entry, distance };
+    }
+    if (hashedCount > 0) {
+      console.log(`Hashed ${hashedCount} indexed image(s) for duplicate detection.`);
+      this.schedulePluginDataSave();
+    }
+    return match;
+  }
+  async linkDuplicateScreenshot(imageFile, match) {
+    const perceptualHash = await this.getImagePerceptualHash(imageFile);
+    const perceptualHashMtime = imageFile.stat.mtime;
+    const noteFile = this.app.vault.getAbstractFileByPath(match.entry.notePath);
+    if (!(noteFile instanceof import_obsidian.TFile))
+      return null;
+    const currentImagePath = await this.moveScreenshotToAttachmentFolder(imageFile);
+    const oldContent = await this.app.vault.read(noteFile);
+    await this.app.vault.modify(noteFile, `${oldContent.replace(/\s*$/, "")}
+
+Also captured as [[${currentImagePath}]] on ${(/* @__PURE__ */ new Date()).toISOString().split("T")[0]}.
+`);
+    this.screenshotIndex[currentImagePath] = {
+      imagePath: currentImagePath,
+      notePath: noteFile.path,
+      ocrText: null,
+      ocrError: null,
+      lastOcrAttemptDate: null,
+      tags: [],
+      duplicateOf: match.entry.imagePath,
+      perceptualHash,
+      perceptualHashMtime
+    };
+    console.log(`Linked duplicate screenshot ${currentImagePath} to ${noteFile.path}.`);
+    return currentImagePath;
+  }
+  async chooseDuplicateScreenshotAction(imageFile, match) {
+    if (this.settings.duplicateScreenshotAction !== "ask")
+      return this.settings.duplicateScreenshotAction;
+    return new Promise((resolve) => {
+      new DuplicateScreenshotModal(this.app, imageFile, match, resolve).open();
+    });
+  }
+  handleInboxFileEvent(file) {
+    if (!this.settings.watchScreenshotInputFolder || !(file instanceof import_obsidian.TFile) || !["png", "jpg", "jpeg", "gif", "bmp", "webp"].includes(file.extension.toLowerCase()))
+      return;
+    if (!file.parent || file.parent.path !== (0, import_obsidian.normalizePath)(this.settings.screenshotInputFolder) || this.processedScreenshotPaths.includes(file.path) || this.dismissedInboxPaths.has(file.path))
+      return;
+    this.pendingInboxPaths.add(file.path);
+    this.inboxSettleRounds.delete(file.path);
+    if (this.inboxWatchReady)
+      this.scheduleInboxProcessing();
+  }
+  scheduleInboxProcessing() {
+    if (this.inboxWatchTimeoutId !== null)
+      window.clearTimeout(this.inboxWatchTimeoutId);
+    this.inboxWatchTimeoutId = window.setTimeout(() => {
+      this.inboxWatchTimeoutId = null;
+      this.processPendingInboxFiles();
+    }, INBOX_WATCH_DEBOUNCE);
+  }
+  cancelInboxWatch() {
+    if (this.inboxWatchTimeoutId !== null) {
+      window.clearTimeout(this.inboxWatchTimeoutId);
+      this.inboxWatchTimeoutId = null;
+    }
+    this.pendingInboxPaths.clear();
+    this.inboxSettleRounds.clear();
+  }
+  async processPendingInboxFiles() {
+    if (this.screenshotProcessingInProgress)
+      return;
+    const candidatePaths = [...this.pendingInboxPaths];
+    this.pendingInboxPaths.clear();
+    const { settledPaths, emptyPaths } = await this.waitForFilesToSettle(candidatePaths);
+    if (!this.inboxWatchReady || !this.settings.watchScreenshotInputFolder)
+      return;
+    for (const path of candidatePaths) {
+      if (!emptyPaths.includes(path))
+        this.inboxSettleRounds.delete(path);
+    }
+    for (const path of emptyPaths) {
+      const rounds = (this.inboxSettleRounds.get(path) || 0) + 1;
+      if (rounds >= INBOX_SETTLE_MAX_ROUNDS) {
+        console.warn(`Input folder watcher: ${path} is still empty after ${rounds} checks. It will be picked up when it changes or on the next run.`);
+        this.inboxSettleRounds.delete(path);
+        continue;
+      }
+      this.inboxSettleRounds.set(path, rounds);
+      this.pendingInboxPaths.add(path);
+    }
+    if (this.pendingInboxPaths.size > 0)
+      this.scheduleInboxProcessing();
+    if (settledPaths.length === 0)
+      return;
+    console.log(`Input folder watcher: processing ${settledPaths.length} new image(s).`);
+    await this.processScreenshots(false, settledPaths);
+  }
+  async waitForFilesToSettle(paths) {
+    let previousSignatures = /* @__PURE__ */ new Map();
+    for (let check = 0; check < INBOX_SETTLE_MAX_CHECKS; check++) {
+      const signatures = /* @__PURE__ */ new Map();
+      for (const path of paths) {
+        const stat = await this.app.vault.adapter.stat(path);
+        if (stat && stat.type === "file")
+          signatures.set(path, `${stat.size}:${stat.mtime}`);
+      }
+      const settledPaths = [...signatures.keys()].filter((path) => previousSignatures.get(path) === signatures.get(path) && !signatures.get(path).startsWith("0:"));
+      if (settledPaths.length === signatures.size)
+        return { settledPaths, emptyPaths: [] };
+      previousSignatures = signatures;
+      await new Promise((resolve) => setTimeout(resolve, INBOX_SETTLE_CHECK_INTERVAL));
+    }
+    const settledPaths = [...previousSignatures.keys()].filter((path) => !previousSignatures.get(path).startsWith("0:"));
+    const emptyPaths = [...previousSignatures.keys()].filter((path) => previousSignatures.get(path).startsWith("0:"));
+    if (emptyPaths.length > 0)
+      console.log(`Input folder watcher: ${emptyPaths.length} image(s) are still empty, waiting for them to be written.`);
+    return { settledPaths, emptyPaths };
+  }
+  async processScreenshots(isManualRun = false, onlyPaths = null) {
+    if (this.screenshotProcessingInProgress) {
+      if (isManualRun)
+        new import_obsidian.Notice("Screenshot processing is already running.");
+      if (onlyPaths) {
+        for (const path of onlyPaths)
+          this.pendingInboxPaths.add(path);
+      }
+      return;
+    }
+    this.screenshotProcessingInProgress = true;
+    try {
+      await this.processScreenshotsUnlocked(isManualRun, onlyPaths);
+    } finally {
+      this.screenshotProcessingInProgress = false;
+      if (this.pendingInboxPaths.size > 0 && this.inboxWatchReady && this.settings.watchScreenshotInputFolder)
+        this.scheduleInboxProcessing();
+    }
   }
-  async processScreenshots(isManualRun = false) {
+  async processScreenshotsUnlocked(isManualRun, onlyPaths) {
     if (isManualRun)
       new import_obsidian.Notice("Starting screenshot processing...");
-    else
+    else if (!onlyPaths)
       console.log("Processing screenshots (startup)...");
     const inputFolderRelPath = (0, import_obsidian.normalizePath)(this.settings.screenshotInputFolder);
     const inputFolder = this.app.vault.getAbstractFileByPath(inputFolderRelPath);
@@ -772,107 +4337,63 @@ ${embedLink}
       }
     }
     let processedCount = 0;
-    const filesToProcess = [...inputFolder.children];
+    let skippedDuplicateCount = 0;
+    let linkedDuplicateCount = 0;
+    const filesToProcess = onlyPaths ? inputFolder.children.filter((file) => onlyPaths.includes(file.path)) : [...inputFolder.children];
     const imagesToOcrPaths = [];
     console.log(`Found ${filesToProcess.length} items in input folder ${inputFolderRelPath}`);
     for (const file of filesToProcess) {
       if (file instanceof import_obsidian.TFile && ["png", "jpg", "jpeg", "gif", "bmp", "webp"].includes(file.extension.toLowerCase())) {
-        if (!this.processedScreenshotPaths.includes(file.path)) {
+        if (!this.processedScreenshotPaths.includes(file.path) && (isManualRun || !this.dismissedInboxPaths.has(file.path))) {
           console.log(`Processing new screenshot (note creation phase): ${file.path}`);
-          const imagePathAfterProcessing = await this.createNoteAndIndexScreenshot(file, outputFolderRelPath);
-          if (imagePathAfterProcessing) {
-            imagesToOcrPaths.push(imagePathAfterProcessing);
-            this.processedScreenshotPaths.push(file.path);
-            processedCount++;
-          }
-        }
-      }
-    }
-    if (processedCount > 0) {
-      await this.savePluginData();
-      new import_obsidian.Notice(`Processed ${processedCount} new screenshot(s). Notes created.`);
-      console.log(`Created notes for ${processedCount} new screenshot(s).`);
-      if (imagesToOcrPaths.length > 0) {
-        this.batchOcrAndUpdateIndex(imagesToOcrPaths, isManualRun).then(() => {
-          console.log("Background OCR processing finished for batch from input folder.");
-        }).catch((err) => {
-          console.error("Error during background batch OCR:", err);
-          new import_obsidian.Notice("An error occurred during background OCR processing.");
-        });
-      }
-    } else {
-      new import_obsidian.Notice("No new screenshots found to process.");
-      console.log("No new screenshots found.");
-    }
-  }
-  async batchOcrAndUpdateIndex(imagePaths, isManualRun = false) {
-    if (imagePaths.length === 0)
-      return;
-    const textExtractor = this.getTextExtractor();
-    if (!textExtractor) {
-      new import_obsidian.Notice("Text Extractor not available for background OCR. Please install/enable it.", 0);
-      console.warn("Text Extractor API not available for background OCR batch.");
-      for (const imagePath of imagePaths) {
-        if (this.screenshotIndex[imagePath]) {
-          this.screenshotIndex[imagePath].ocrError = "OCR not performed: Text Extractor plugin not found.";
-          this.screenshotIndex[imagePath].lastOcrAttemptDate = Date.now();
-        }
-      }
-      await this.savePluginData();
-      return;
-    }
-    new import_obsidian.Notice(`Starting background OCR for ${imagePaths.length} image(s)...`, 5e3);
-    console.log(`Starting background OCR for ${imagePaths.length} image(s)...`);
-    let ocrSuccessCount = 0;
-    for (let i = 0; i < imagePaths.length; i++) {
-      const imagePath = imagePaths[i];
-      const imageFile = this.app.vault.getAbstractFileByPath(imagePath);
-      if (!imageFile) {
-        console.warn(`Batch OCR: Image file not found at ${imagePath}, skipping.`);
-        if (this.screenshotIndex[imagePath]) {
-          this.screenshotIndex[imagePath].ocrError = "Image file not found during batch OCR.";
-          this.screenshotIndex[imagePath].lastOcrAttemptDate = Date.now();
-        }
-        continue;
-      }
-      console.log(`Background OCR: ${i + 1}/${imagePaths.length} - ${imageFile.name}`);
-      if (textExtractor.canFileBeExtracted(imageFile.path)) {
-        try {
-          const ocrTextResult = await textExtractor.extractText(imageFile);
-          console.log(`[RAW OCR - batchOcrAndUpdateIndex for ${imagePath}] Raw result type: ${typeof ocrTextResult}, Length: ${ocrTextResult == null ? void 0 : ocrTextResult.length}`);
-          console.log(`[RAW OCR - batchOcrAndUpdateIndex for ${imagePath}] First 500 chars:`, ocrTextResult == null ? void 0 : ocrTextResult.substring(0, 500));
-          if (this.screenshotIndex[imagePath]) {
-            this.screenshotIndex[imagePath].ocrText = ocrTextResult && ocrTextResult.trim().length > 0 ? ocrTextResult.trim() : null;
-            this.screenshotIndex[imagePath].ocrError = null;
-            ocrSuccessCount++;
-          } else {
-            console.warn(`Batch OCR: No existing index entry for ${imagePath} to update.`);
+          const duplicateMatch = await this.findDuplicateArtifactImage(file);
+          if (duplicateMatch) {
+            console.log(`${file.path} matches ${duplicateMatch.entry.imagePath} (distance ${duplicateMatch.distance}).`);
+            const action = await this.chooseDuplicateScreenshotAction(file, duplicateMatch);
+            if (!action) {
+              this.dismissedInboxPaths.add(file.path);
+              continue;
+            }
+            if (action === "skip") {
+              this.processedScreenshotPaths.push(file.path);
+              skippedDuplicateCount++;
+              continue;
+            }
+            if (action === "link") {
+              const linkedImagePath = await this.linkDuplicateScreenshot(file, duplicateMatch);
+              if (linkedImagePath) {
+                imagesToOcrPaths.push(linkedImagePath);
+                this.processedScreenshotPaths.push(file.path);
+                linkedDuplicateCount++;
+                continue;
+              }
+            }
           }
-        } catch (err) {
-          console.error(`Batch OCR: Text Extractor failed for ${imagePath}:`, err);
-          if (this.screenshotIndex[imagePath]) {
-            this.screenshotIndex[imagePath].ocrError = err.message || "Unknown OCR error during batch scan";
-            this.screenshotIndex[imagePath].ocrText = null;
+          const perceptualHash = await this.getImagePerceptualHash(file);
+          const perceptualHashMtime = file.stat.mtime;
+          const imagePathAfterProcessing = await this.createNoteAndIndexScreenshot(file, outputFolderRelPath);
+          if (imagePathAfterProcessing) {
+            this.screenshotIndex[imagePathAfterProcessing].perceptualHash = perceptualHash;
+            this.screenshotIndex[imagePathAfterProcessing].perceptualHashMtime = perceptualHashMtime;
+            imagesToOcrPaths.push(imagePathAfterProcessing);
+            this.processedScreenshotPaths.push(file.path);
+            processedCount++;
           }
         }
-      } else {
-        console.log(`Batch OCR: Text Extractor cannot process ${imageFile.name}.`);
-        if (this.screenshotIndex[imagePath]) {
-          this.screenshotIndex[imagePath].ocrError = "File type not processable by Text Extractor.";
-        }
-      }
-      if (this.screenshotIndex[imagePath]) {
-        this.screenshotIndex[imagePath].lastOcrAttemptDate = Date.now();
-      }
-      if ((i + 1) % 5 === 0 && i + 1 < imagePaths.length) {
-        await this.savePluginData();
-        console.log(`Batch OCR: Saved intermediate progress to data.json`);
       }
     }
-    await this.savePluginData();
-    const finalMessage = `Background OCR finished. ${ocrSuccessCount}/${imagePaths.length} images successfully OCR'd.`;
-    console.log(finalMessage);
-    new import_obsidian.Notice(finalMessage, ocrSuccessCount === imagePaths.length ? 5e3 : 0);
+    if (processedCount > 0 || skippedDuplicateCount > 0 || linkedDuplicateCount > 0) {
+      await this.savePluginData();
+      const duplicateSummary = skippedDuplicateCount + linkedDuplicateCount > 0 ? ` Duplicates: ${skippedDuplicateCount} skipped, ${linkedDuplicateCount} linked to existing notes.` : "";
+      new import_obsidian.Notice(`Processed ${processedCount} new screenshot(s). Notes created.${duplicateSummary}`);
+      console.log(`Created notes for ${processedCount} new screenshot(s).${duplicateSummary}`);
+      if (imagesToOcrPaths.length > 0)
+        await this.enqueueOcr(imagesToOcrPaths);
+    } else {
+      if (!onlyPaths)
+        new import_obsidian.Notice("No new screenshots found to process.");
+      console.log("No new screenshots found.");
+    }
   }
   async handlePasteFromClipboard() {
     try {
@@ -936,43 +4457,15 @@ ${embedLink}
 `;
       const createdNote = await this.app.vault.create(notePath, noteContent);
       console.log(`Created note for clipboard image: ${notePath}`);
-      let ocrText = null;
-      let ocrError = null;
-      const textExtractor = this.getTextExtractor();
-      if (textExtractor && savedImageFile instanceof import_obsidian.TFile && textExtractor.canFileBeExtracted(savedImageFile.path)) {
-        try {
-          new import_obsidian.Notice(`Extracting text from pasted image ${savedImageFile.name}...`);
-          console.log(`Starting OCR for pasted image ${savedImageFile.path} via Text Extractor...`);
-          ocrText = await textExtractor.extractText(savedImageFile);
-          console.log(`[RAW OCR - handlePasteFromClipboard for ${savedImageFile.path}] Raw result type: ${typeof ocrText}, Length: ${ocrText == null ? void 0 : ocrText.length}`);
-          console.log(`[RAW OCR - handlePasteFromClipboard for ${savedImageFile.path}] First 500 chars:`, ocrText == null ? void 0 : ocrText.substring(0, 500));
-          console.log(`Text Extractor successful for ${savedImageFile.path}. Length: ${ocrText ? ocrText.length : 0}`);
-          if (ocrText && ocrText.trim().length > 0) {
-            new import_obsidian.Notice(`Text extracted from pasted image.`);
-          } else {
-            new import_obsidian.Notice(`No text found or extracted from pasted image.`);
-            ocrText = null;
-          }
-        } catch (err) {
-          console.error(`Text Extractor failed for ${savedImageFile.path}:`, err);
-          new import_obsidian.Notice(`Text extraction failed for pasted image.`);
-          ocrError = err.message || "Unknown OCR error";
-          ocrText = null;
-        }
-      } else {
-        const reason = textExtractor ? `cannot process pasted image ${savedImageFile.name}` : "plugin not found";
-        console.log(`Text Extractor not available or ${reason}.`);
-        ocrError = `OCR not performed: Text Extractor ${reason}`;
-      }
       this.screenshotIndex[savedImageFile.path] = {
         imagePath: savedImageFile.path,
         notePath,
-        ocrText,
-        ocrError,
-        lastOcrAttemptDate: Date.now(),
+        ocrText: null,
+        ocrError: null,
+        lastOcrAttemptDate: null,
         tags: ["clipboard-capture"]
       };
-      await this.savePluginData();
+      await this.enqueueOcr([savedImageFile.path], true);
       const activeLeaf = this.app.workspace.getLeaf(true);
       if (createdNote && activeLeaf) {
         await activeLeaf.openFile(createdNote);
@@ -1023,40 +4516,8 @@ ${sourceNotePaths.map((p) => `  - "${p}"`).join("\n")}
     try {
       const createdNote = await this.app.vault.create(newNotePath, finalContent);
       new import_obsidian.Notice(`Successfully merged ${filesToMerge.length} notes into ${createdNote.path}`);
-      if (shouldArchive) {
-        const archiveFolderRelPath = (0, import_obsidian.normalizePath)(this.settings.mergedNotesArchivePath);
-        const archiveFolder = this.app.vault.getAbstractFileByPath(archiveFolderRelPath);
-        if (!(archiveFolder instanceof import_obsidian.TFolder)) {
-          try {
-            await this.app.vault.createFolder(archiveFolderRelPath);
-            console.log(`Created archive folder: ${archiveFolderRelPath}`);
-          } catch (err) {
-            new import_obsidian.Notice(`Failed to create archive folder: ${archiveFolderRelPath}. Originals not archived.`);
-            console.error(`Failed to create archive folder ${archiveFolderRelPath}:`, err);
-            const activeLeaf2 = this.app.workspace.getLeaf(true);
-            if (createdNote && activeLeaf2)
-              await activeLeaf2.openFile(createdNote);
-            return;
-          }
-        }
-        let archivedCount = 0;
-        for (const originalNote of filesToMerge) {
-          try {
-            const timestamp = (/* @__PURE__ */ new Date()).toISOString().replace(/[:.]/g, "-");
-            const archivedName = `${originalNote.basename}_${timestamp}.${originalNote.extension}`;
-            const newArchivePath = (0, import_obsidian.normalizePath)(`${archiveFolderRelPath}/${archivedName}`);
-            console.log(`Archiving ${originalNote.path} to ${newArchivePath}`);
-            await this.app.vault.rename(originalNote, newArchivePath);
-            archivedCount++;
-          } catch (archiveErr) {
-            console.error(`Failed to archive ${originalNote.path}:`, archiveErr);
-            new import_obsidian.Notice(`Failed to archive ${originalNote.basename}. It remains in place.`);
-          }
-        }
-        if (archivedCount > 0) {
-          new import_obsidian.Notice(`Archived ${archivedCount} original note(s).`);
-        }
-      }
+      if (shouldArchive)
+        await this.archiveNotes(filesToMerge);
       const activeLeaf = this.app.workspace.getLeaf(true);
       if (createdNote && activeLeaf)
         await activeLeaf.openFile(createdNote);
@@ -1065,6 +4526,242 @@ ${sourceNotePaths.map((p) => `  - "${p}"`).join("\n")}
       new import_obsidian.Notice("Error creating merged note. See console.");
     }
   }
+  async findDuplicateArtifacts() {
+    const items = [];
+    for (const node of Object.values(this.index)) {
+      items.push({
+        key: node.id,
+        text: node.text,
+        label: getLoomNodeLabel(node.text, 160),
+        detail: `Loom \xB7 ${node.documentPath}`,
+        notePath: this.getLoomNodeNotePath(node.id),
+        open: () => this.openLoomTreeView(node.id)
+      });
+    }
+    for (const info of Object.values(this.screenshotIndex)) {
+      if (!info.ocrText)
+        continue;
+      items.push({
+        key: info.imagePath,
+        text: info.ocrText,
+        label: getLoomNodeLabel(info.ocrText, 160),
+        detail: `Screenshot \xB7 ${info.imagePath}`,
+        notePath: info.notePath,
+        open: () => this.app.workspace.openLinkText(info.notePath && this.app.vault.getAbstractFileByPath(info.notePath) ? info.notePath : info.imagePath, "", false)
+      });
+    }
+    const progressNotice = new import_obsidian.Notice(`Comparing ${items.length} Loom nodes and OCR texts...`, 0);
+    const startTime = Date.now();
+    const clusters = await findNearDuplicateClusters(items, this.settings.duplicateSimilarityThreshold / 100, (done, total) => {
+      progressNotice.setMessage(`Comparing Loom nodes and OCR texts... ${done}/${total}`);
+    });
+    progressNotice.hide();
+    console.log(`Found ${clusters.length} duplicate cluster(s) among ${items.length} artifacts in ${Date.now() - startTime}ms.`);
+    new DuplicateClustersModal(this.app, this, "Duplicate Artifacts", clusters).open();
+  }
+  async findDuplicateImages() {
+    const imageFiles = this.app.vault.getFiles().filter(
+      (file) => ["png", "jpg", "jpeg", "gif", "bmp", "webp"].includes(file.extension.toLowerCase())
+    );
+    const progressNotice = new import_obsidian.Notice(`Hashing ${imageFiles.length} images...`, 0);
+    const startTime = Date.now();
+    const items = [];
+    for (let i = 0; i < imageFiles.length; i++) {
+      const imageFile = imageFiles[i];
+      const perceptualHash = await this.getImagePerceptualHash(imageFile);
+      if (i % 50 === 49)
+        progressNotice.setMessage(`Hashing images... ${i + 1}/${imageFiles.length}`);
+      if (!perceptualHash)
+        continue;
+      const info = this.screenshotIndex[imageFile.path];
+      const notePath = info ? info.notePath : null;
+      items.push({
+        key: imageFile.path,
+        hash: perceptualHash,
+        imagePath: imageFile.path,
+        label: info && info.ocrText ? getLoomNodeLabel(info.ocrText, 160) : imageFile.name,
+        detail: `Image \xB7 ${imageFile.path}`,
+        notePath,
+        open: () => this.app.workspace.openLinkText(notePath && this.app.vault.getAbstractFileByPath(notePath) ? notePath : imageFile.path, "", false)
+      });
+    }
+    this.schedulePluginDataSave();
+    const clusters = await findSimilarImageClusters(items, this.settings.duplicateImageMaxDistance, (done, total) => {
+      progressNotice.setMessage(`Comparing images... ${done}/${total}`);
+    });
+    progressNotice.hide();
+    console.log(`Found ${clusters.length} duplicate image cluster(s) among ${items.length} images in ${Date.now() - startTime}ms.`);
+    new DuplicateClustersModal(this.app, this, "Duplicate Images", clusters).open();
+  }
+  async archiveNotes(notes) {
+    const archiveFolderRelPath = (0, import_obsidian.normalizePath)(this.settings.mergedNotesArchivePath);
+    const archiveFolder = this.app.vault.getAbstractFileByPath(archiveFolderRelPath);
+    if (!(archiveFolder instanceof import_obsidian.TFolder)) {
+      try {
+        await this.app.vault.createFolder(archiveFolderRelPath);
+        console.log(`Created archive folder: ${archiveFolderRelPath}`);
+      } catch (err) {
+        new import_obsidian.Notice(`Failed to create archive folder: ${archiveFolderRelPath}. Originals not archived.`);
+        console.error(`Failed to create archive folder ${archiveFolderRelPath}:`, err);
+        return 0;
+      }
+    }
+    let archivedCount = 0;
+    for (const originalNote of notes) {
+      try {
+        const timestamp = (/* @__PURE__ */ new Date()).toISOString().replace(/[:.]/g, "-");
+        const archivedName = `${originalNote.basename}_${timestamp}.${originalNote.extension}`;
+        const newArchivePath = (0, import_obsidian.normalizePath)(`${archiveFolderRelPath}/${archivedName}`);
+        console.log(`Archiving ${originalNote.path} to ${newArchivePath}`);
+        await this.app.vault.rename(originalNote, newArchivePath);
+        archivedCount++;
+      } catch (archiveErr) {
+        console.error(`Failed to archive ${originalNote.path}:`, archiveErr);
+        new import_obsidian.Notice(`Failed to archive ${originalNote.basename}. It remains in place.`);
+      }
+    }
+    if (archivedCount > 0) {
+      new import_obsidian.Notice(`Archived ${archivedCount} original note(s).`);
+    }
+    return archivedCount;
+  }
+  schedulePluginDataSave() {
+    if (this.pluginDataSaveTimeoutId !== null)
+      window.clearTimeout(this.pluginDataSaveTimeoutId);
+    this.pluginDataSaveTimeoutId = window.setTimeout(() => {
+      this.pluginDataSaveTimeoutId = null;
+      this.savePluginData();
+    }, 2e3);
+  }
+  handleVaultRename(file, oldPath) {
+    const newPath = file.path;
+    let screenshotsChanged = false;
+    for (const [imagePath, info] of Object.entries(this.screenshotIndex)) {
+      const newImagePath = remapVaultPath(imagePath, oldPath, newPath);
+      if (newImagePath) {
+        delete this.screenshotIndex[imagePath];
+        info.imagePath = newImagePath;
+        this.screenshotIndex[newImagePath] = info;
+        screenshotsChanged = true;
+      }
+      const newNotePath = info.notePath ? remapVaultPath(info.notePath, oldPath, newPath) : null;
+      if (newNotePath) {
+        info.notePath = newNotePath;
+        screenshotsChanged = true;
+      }
+      const newDuplicateOf = info.duplicateOf ? remapVaultPath(info.duplicateOf, oldPath, newPath) : null;
+      if (newDuplicateOf) {
+        info.duplicateOf = newDuplicateOf;
+        screenshotsChanged = true;
+      }
+    }
+    this.processedScreenshotPaths = this.processedScreenshotPaths.map((path) => {
+      const newProcessedPath = remapVaultPath(path, oldPath, newPath);
+      if (!newProcessedPath)
+        return path;
+      screenshotsChanged = true;
+      return newProcessedPath;
+    });
+    for (const job of this.ocrQueue) {
+      const newJobPath = this.ocrActiveJobs.has(job.imagePath) ? null : remapVaultPath(job.imagePath, oldPath, newPath);
+      if (newJobPath) {
+        job.imagePath = newJobPath;
+        screenshotsChanged = true;
+      }
+    }
+    const renamedDocumentPaths = /* @__PURE__ */ new Map();
+    for (const node of Object.values(this.index)) {
+      const newDocumentPath = remapVaultPath(node.documentPath, oldPath, newPath);
+      if (newDocumentPath) {
+        renamedDocumentPaths.set(node.documentPath, newDocumentPath);
+        node.documentPath = newDocumentPath;
+      }
+    }
+    let loomNotesChanged = false;
+    for (const entry of Object.values(this.loomNodeNotes)) {
+      const newNotePath = remapVaultPath(entry.notePath, oldPath, newPath);
+      if (newNotePath) {
+        entry.notePath = newNotePath;
+        loomNotesChanged = true;
+      }
+    }
+    let sourcesChanged = false;
+    for (const source of this.settings.loomSources) {
+      const newSourcePath = remapVaultPath((0, import_obsidian.normalizePath)(source.path), oldPath, newPath);
+      if (newSourcePath) {
+        source.path = newSourcePath;
+        sourcesChanged = true;
+      }
+    }
+    if (renamedDocumentPaths.size > 0) {
+      this.refreshLoomTreeViews();
+      this.updateConversationDocumentPaths(renamedDocumentPaths);
+    } else if (loomNotesChanged) {
+      this.refreshLoomTreeViews();
+    }
+    if (screenshotsChanged || renamedDocumentPaths.size > 0 || loomNotesChanged || sourcesChanged) {
+      console.log(`Updated Artifacting indexes after ${oldPath} was renamed to ${newPath}.`);
+      this.schedulePluginDataSave();
+    }
+  }
+  handleVaultDelete(file) {
+    const deletedPath = file.path;
+    let screenshotsChanged = false;
+    for (const [imagePath, info] of Object.entries(this.screenshotIndex)) {
+      if (isVaultPathAtOrBelow(imagePath, deletedPath)) {
+        delete this.screenshotIndex[imagePath];
+        screenshotsChanged = true;
+      } else if (info.notePath && isVaultPathAtOrBelow(info.notePath, deletedPath)) {
+        info.notePath = null;
+        screenshotsChanged = true;
+      }
+    }
+    const processedCount = this.processedScreenshotPaths.length;
+    this.processedScreenshotPaths = this.processedScreenshotPaths.filter((path) => !isVaultPathAtOrBelow(path, deletedPath));
+    if (this.processedScreenshotPaths.length !== processedCount)
+      screenshotsChanged = true;
+    const queuedCount = this.ocrQueue.length;
+    this.ocrQueue = this.ocrQueue.filter((job) => this.ocrActiveJobs.has(job.imagePath) || !isVaultPathAtOrBelow(job.imagePath, deletedPath));
+    if (this.ocrQueue.length !== queuedCount) {
+      screenshotsChanged = true;
+      this.updateOcrStatusBar();
+    }
+    const removedNodeIds = Object.values(this.index).filter((node) => isVaultPathAtOrBelow(node.documentPath, deletedPath)).map((node) => node.id);
+    for (const nodeId of removedNodeIds)
+      delete this.index[nodeId];
+    let loomNotesChanged = false;
+    for (const [nodeId, entry] of Object.entries(this.loomNodeNotes)) {
+      if (isVaultPathAtOrBelow(entry.notePath, deletedPath)) {
+        delete this.loomNodeNotes[nodeId];
+        loomNotesChanged = true;
+      }
+    }
+    if (removedNodeIds.length > 0)
+      this.handleLoomIndexChanged({ added: [], updated: [], removed: removedNodeIds });
+    else if (loomNotesChanged)
+      this.refreshLoomTreeViews();
+    if (screenshotsChanged || removedNodeIds.length > 0 || loomNotesChanged) {
+      console.log(`Removed Artifacting index entries for deleted ${deletedPath}${removedNodeIds.length > 0 ? ` (${removedNodeIds.length} loom node(s))` : ""}.`);
+      this.schedulePluginDataSave();
+    }
+  }
+  async updateConversationDocumentPaths(renamedDocumentPaths) {
+    for (const source of this.getLoomSources()) {
+      if (source.type !== "json-folder")
+        continue;
+      for (const file of this.getConversationFolderFiles(source.path)) {
+        try {
+          const data = JSON.parse(await this.app.vault.read(file));
+          if (!data || typeof data.documentPath !== "string" || !renamedDocumentPaths.has(data.documentPath))
+            continue;
+          data.documentPath = renamedDocumentPaths.get(data.documentPath);
+          await this.app.vault.modify(file, JSON.stringify(data, null, 2));
+        } catch (err) {
+          console.warn(`Could not update the document path in ${file.path}:`, err);
+        }
+      }
+    }
+  }
   async handleCreateNoteForFile(file) {
     if (!(file instanceof import_obsidian.TFile)) {
       new import_obsidian.Notice("Selected item is not a valid file.");
@@ -1097,148 +4794,672 @@ ${sourceNotePaths.map((p) => `  - "${p}"`).join("\n")}
       if (createdNote && activeLeaf)
         await activeLeaf.openFile(createdNote);
       if (["png", "jpg", "jpeg", "gif", "bmp", "webp"].includes(file.extension.toLowerCase())) {
-        console.log(`File ${file.path} is an image, attempting OCR and indexing.`);
-        let ocrText = null;
-        let ocrError = null;
-        const textExtractor = this.getTextExtractor();
-        if (textExtractor && textExtractor.canFileBeExtracted(file.path)) {
-          try {
-            new import_obsidian.Notice(`Extracting text from ${file.name}...`);
-            ocrText = await textExtractor.extractText(file);
-            console.log(`[RAW OCR - handleCreateNoteForFile for ${file.path}] Raw result type: ${typeof ocrText}, Length: ${ocrText == null ? void 0 : ocrText.length}`);
-            console.log(`[RAW OCR - handleCreateNoteForFile for ${file.path}] First 500 chars:`, ocrText == null ? void 0 : ocrText.substring(0, 500));
-            if (ocrText && ocrText.trim().length > 0) {
-              new import_obsidian.Notice(`Text extracted from ${file.name}.`);
-            } else {
-              new import_obsidian.Notice(`No text found/extracted from ${file.name}.`);
-              ocrText = null;
-            }
-          } catch (err) {
-            console.error(`Text Extractor failed for ${file.path}:`, err);
-            new import_obsidian.Notice(`Text extraction failed for ${file.name}.`);
-            ocrError = err.message || "Unknown OCR error";
-            ocrText = null;
-          }
-        } else {
-          const reason = textExtractor ? `cannot process ${file.name}` : "plugin not found";
-          ocrError = `OCR not performed: Text Extractor ${reason}`;
-        }
+        console.log(`File ${file.path} is an image, queueing OCR and indexing.`);
         this.screenshotIndex[file.path] = {
           imagePath: file.path,
           notePath,
-          ocrText,
-          ocrError,
-          lastOcrAttemptDate: Date.now(),
+          ocrText: null,
+          ocrError: null,
+          lastOcrAttemptDate: null,
           tags: ["artifact-file", "image"]
         };
-        await this.savePluginData();
+        await this.enqueueOcr([file.path], true);
       }
     } catch (err) {
       console.error(`Error creating note for file ${file.path}:`, err);
       new import_obsidian.Notice(`Error creating note for ${file.basename}. See console.`);
     }
   }
-  async readLoomData() {
-    const vaultRelativePath = (0, import_obsidian.normalizePath)(LOOM_DATA_PATH);
+  getLoomSources() {
+    return this.settings.loomSources.filter((source) => source.enabled && LOOM_SOURCE_TYPES[source.type] && source.path);
+  }
+  getLoomSourceName(sourceId) {
+    const source = this.settings.loomSources.find((candidate) => candidate.id === sourceId);
+    return source ? source.name : sourceId || LOOM_PRIMARY_SOURCE_ID;
+  }
+  getLoomDataPath() {
+    const primarySource = this.settings.loomSources.find((source) => source.id === LOOM_PRIMARY_SOURCE_ID);
+    return (0, import_obsidian.normalizePath)(primarySource && primarySource.path || LOOM_DATA_PATH);
+  }
+  getConversationFolderFiles(folderPath) {
+    const prefix = (0, import_obsidian.normalizePath)(folderPath) + "/";
+    return this.app.vault.getFiles().filter((file) => file.extension === "json" && file.path.startsWith(prefix));
+  }
+  async collectLoomDocuments() {
+    const documents = [];
+    for (const source of this.getLoomSources()) {
+      const loomData = await LOOM_SOURCE_TYPES[source.type].read(this, source, false);
+      if (!loomData || !loomData.state)
+        continue;
+      for (const [documentPath, docState] of Object.entries(loomData.state)) {
+        if (!docState || !docState.nodes || Object.keys(docState.nodes).length === 0)
+          continue;
+        documents.push({ key: getLoomIndexNodeId(source.id, documentPath), sourceId: source.id, documentPath, docState });
+      }
+    }
+    return documents;
+  }
+  async readLoomData(showNotices = true, path = this.getLoomDataPath()) {
+    const vaultRelativePath = (0, import_obsidian.normalizePath)(path);
     console.log(`Attempting to read loom data from vault path: ${vaultRelativePath}`);
     try {
       const fileExists = await this.app.vault.adapter.exists(vaultRelativePath);
       if (!fileExists) {
-        new import_obsidian.Notice(`Loom data file not found at: ${vaultRelativePath}`);
+        if (showNotices)
+          new import_obsidian.Notice(`Loom data file not found at: ${vaultRelativePath}`);
         console.error(`Loom data file not found at: ${vaultRelativePath}`);
         return null;
       }
       const jsonData = await this.app.vault.adapter.read(vaultRelativePath);
       if (!jsonData) {
-        new import_obsidian.Notice("Loom data file is empty.");
+        if (showNotices)
+          new import_obsidian.Notice("Loom data file is empty.");
         console.error("Loom data file is empty.");
         return null;
       }
       return JSON.parse(jsonData);
     } catch (error) {
-      new import_obsidian.Notice("Error reading or parsing loom data file. See console for details.");
+      if (showNotices)
+        new import_obsidian.Notice("Error reading or parsing loom data file. See console for details.");
       console.error("Error reading/parsing loom data file:", error);
       return null;
     }
   }
   async buildLoomIndex(isManualRun = false) {
-    var _a, _b;
     if (isManualRun)
       console.log("Manually building loom index...");
     else
       console.log("Building loom index (startup)...");
-    const loomData = await this.readLoomData();
-    if (!loomData || !loomData.state) {
-      console.log("No loom data found or data is invalid. Loom index not built.");
+    const newIndex = {};
+    const newSourceInfo = {};
+    try {
+      for (const source of this.getLoomSources()) {
+        const sourceType = LOOM_SOURCE_TYPES[source.type];
+        const info = await sourceType.getInfo(this, source);
+        const loomData = await sourceType.read(this, source, source.id === LOOM_PRIMARY_SOURCE_ID);
+        if (!loomData || !loomData.state) {
+          console.log(`No loom data found for source "${source.name}" or data is invalid. Skipped.`);
+          continue;
+        }
+        Object.assign(newIndex, buildLoomIndexFromData(loomData, source.id));
+        if (info && info.exists)
+          newSourceInfo[source.id] = getLoomSourceInfoSignature(source.path, info);
+      }
+      this.index = newIndex;
+      this.loomIndexSourceInfo = newSourceInfo;
+      this.handleLoomIndexChanged(null);
+      const message = `Loom Index built successfully with ${Object.keys(this.index).length} nodes from ${Object.keys(newSourceInfo).length} source(s).`;
+      console.log(message);
+      if (isManualRun)
+        new import_obsidian.Notice(message);
+    } catch (error) {
+      new import_obsidian.Notice("Error building index from loom data. See console for details.");
+      console.error("Error building loom index:", error);
       this.index = {};
+      this.loomIndexSourceInfo = {};
+      this.handleLoomIndexChanged(null);
+    }
+  }
+  applyLoomDataToIndex(loomData, sourceId = LOOM_PRIMARY_SOURCE_ID, changes = { added: [], updated: [], removed: [], documents: /* @__PURE__ */ new Set() }) {
+    const seenNodeIds = /* @__PURE__ */ new Set();
+    for (const [documentPath, docState] of Object.entries(loomData.state)) {
+      if (!docState || !docState.nodes)
+        continue;
+      for (const [nodeId, nodeData] of Object.entries(docState.nodes)) {
+        if (!nodeData || typeof nodeData.text !== "string")
+          continue;
+        const entry = createLoomIndexEntry(nodeId, nodeData, documentPath, sourceId);
+        seenNodeIds.add(entry.id);
+        const existing = this.index[entry.id];
+        if (!existing) {
+          this.index[entry.id] = entry;
+          changes.added.push(entry.id);
+          changes.documents.add(documentPath);
+        } else if (!isSameLoomIndexEntry(existing, entry)) {
+          this.index[entry.id] = entry;
+          changes.updated.push(entry.id);
+          changes.documents.add(documentPath);
+          changes.documents.add(existing.documentPath);
+        }
+      }
+    }
+    for (const [nodeId, existing] of Object.entries(this.index)) {
+      if (existing.sourceId === sourceId && !seenNodeIds.has(nodeId)) {
+        delete this.index[nodeId];
+        changes.removed.push(nodeId);
+        changes.documents.add(existing.documentPath);
+      }
+    }
+    return changes;
+  }
+  async updateLoomIndexIfChanged() {
+    if (this.loomIndexUpdateInProgress)
+      return false;
+    this.loomIndexUpdateInProgress = true;
+    try {
+      const changes = { added: [], updated: [], removed: [], documents: /* @__PURE__ */ new Set() };
+      let sourceInfoChanged = false;
+      const sources = this.getLoomSources();
+      for (const source of sources) {
+        const sourceType = LOOM_SOURCE_TYPES[source.type];
+        const info = await sourceType.getInfo(this, source);
+        const indexedSignature = this.loomIndexSourceInfo[source.id];
+        if (!info || !info.exists) {
+          if (info && indexedSignature && !indexedSignature.startsWith(`${source.path}|`)) {
+            console.log(`Loom source "${source.name}" now points at ${source.path || "nothing"}, which does not exist. Removing its nodes from the index.`);
+            this.applyLoomDataToIndex({ state: {} }, source.id, changes);
+            delete this.loomIndexSourceInfo[source.id];
+            sourceInfoChanged = true;
+          }
+          continue;
+        }
+        const signature = getLoomSourceInfoSignature(source.path, info);
+        if (indexedSignature === signature)
+          continue;
+        const loomData = await sourceType.read(this, source, false);
+        if (!loomData || !loomData.state) {
+          console.warn(`Loom data from source "${source.name}" could not be read while updating the index. Will retry on the next check.`);
+          continue;
+        }
+        this.applyLoomDataToIndex(loomData, source.id, changes);
+        this.loomIndexSourceInfo[source.id] = signature;
+        sourceInfoChanged = true;
+      }
+      const activeSourceIds = new Set(sources.map((source) => source.id));
+      for (const sourceId of Object.keys(this.loomIndexSourceInfo)) {
+        if (activeSourceIds.has(sourceId))
+          continue;
+        this.applyLoomDataToIndex({ state: {} }, sourceId, changes);
+        delete this.loomIndexSourceInfo[sourceId];
+        sourceInfoChanged = true;
+      }
+      const changeCount = changes.added.length + changes.updated.length + changes.removed.length;
+      if (changeCount > 0) {
+        this.handleLoomIndexChanged(changes);
+        console.log(`Loom index updated: ${changes.added.length} added, ${changes.updated.length} edited, ${changes.removed.length} deleted across ${changes.documents.size} document(s). ${Object.keys(this.index).length} nodes indexed.`);
+      }
+      if (sourceInfoChanged)
+        this.schedulePluginDataSave();
+      return changeCount > 0;
+    } catch (error) {
+      console.error("Error updating loom index:", error);
+      return false;
+    } finally {
+      this.loomIndexUpdateInProgress = false;
+    }
+  }
+  scheduleLoomIndexUpdate() {
+    if (this.loomIndexUpdateTimeoutId !== null)
+      window.clearTimeout(this.loomIndexUpdateTimeoutId);
+    this.loomIndexUpdateTimeoutId = window.setTimeout(() => {
+      this.loomIndexUpdateTimeoutId = null;
+      this.updateLoomIndexIfChanged();
+    }, LOOM_SOURCE_PATH_REINDEX_DELAY);
+  }
+  rescheduleLoomIndexWatch() {
+    if (this.loomIndexWatchIntervalId !== null) {
+      window.clearInterval(this.loomIndexWatchIntervalId);
+      this.loomIndexWatchIntervalId = null;
+    }
+    if (!this.settings.enableLoomIndexWatch) {
+      console.log("Loom index watch is disabled.");
       return;
     }
-    const newIndex = {};
+    const intervalMs = Math.max(2, this.settings.loomIndexWatchIntervalSeconds) * 1e3;
+    this.loomIndexWatchIntervalId = window.setInterval(() => {
+      this.updateLoomIndexIfChanged();
+    }, intervalMs);
+    console.log(`Watching Loom sources for changes every ${intervalMs / 1e3}s.`);
+  }
+  getLoomSearchIndex() {
+    if (!this.loomSearchIndex) {
+      const startTime = Date.now();
+      const searchIndex = new TextSearchIndex();
+      for (const node of Object.values(this.index)) {
+        searchIndex.addDocument(node.id, node.text);
+      }
+      this.loomSearchIndex = searchIndex;
+      console.log(`Built loom search index for ${searchIndex.size} nodes in ${Date.now() - startTime}ms.`);
+    }
+    return this.loomSearchIndex;
+  }
+  getLoomNodeTokens(nodeId) {
+    if (!this.loomNodeTokensCache)
+      this.loomNodeTokensCache = /* @__PURE__ */ new Map();
+    let tokens = this.loomNodeTokensCache.get(nodeId);
+    if (!tokens) {
+      tokens = tokenizeSearchText(this.index[nodeId].text);
+      this.loomNodeTokensCache.set(nodeId, tokens);
+    }
+    return tokens;
+  }
+  getLoomPathTokens(pathIds) {
+    const tokens = [];
+    let offset = 0;
+    let openToken = null;
+    pathIds.forEach((pathId, pathIndex) => {
+      const text = this.index[pathId].text || "";
+      if (!text)
+        return;
+      this.getLoomNodeTokens(pathId).forEach((token, position) => {
+        if (position === 0 && token.start === 0 && openToken) {
+          openToken.term += token.term;
+          openToken.end = offset + token.end;
+          openToken.pathIndex = pathIndex;
+        } else {
+          tokens.push({ term: token.term, start: offset + token.start, end: offset + token.end, startPathIndex: pathIndex, pathIndex });
+        }
+      });
+      offset += text.length;
+      const lastToken = tokens[tokens.length - 1];
+      openToken = lastToken && lastToken.end === offset ? lastToken : null;
+    });
+    return tokens;
+  }
+  getLoomBoundaryTerms() {
+    if (!this.loomBoundaryTerms) {
+      this.loomBoundaryTerms = /* @__PURE__ */ new Map();
+      for (const node of Object.values(this.index)) {
+        const tokens = this.getLoomNodeTokens(node.id);
+        if (tokens.length === 0 || tokens[0].start !== 0)
+          continue;
+        let term = tokens[0].term;
+        let merged = false;
+        let current = node;
+        const visitedIds = /* @__PURE__ */ new Set([node.id]);
+        while (current.parentId && this.index[current.parentId] && !visitedIds.has(current.parentId)) {
+          const parent = this.index[current.parentId];
+          visitedIds.add(parent.id);
+          current = parent;
+          if (!parent.text)
+            continue;
+          const parentTokens = this.getLoomNodeTokens(parent.id);
+          const lastToken = parentTokens[parentTokens.length - 1];
+          if (!lastToken || lastToken.end !== parent.text.length)
+            break;
+          term = lastToken.term + term;
+          merged = true;
+          if (parentTokens.length > 1 || lastToken.start !== 0)
+            break;
+        }
+        if (merged)
+          this.loomBoundaryTerms.set(node.id, term);
+      }
+    }
+    return this.loomBoundaryTerms;
+  }
+  handleLoomIndexChanged(changes) {
+    this.loomNodeDepthCache = null;
+    this.loomChildrenMap = null;
+    this.loomBoundaryTerms = null;
+    if (this.loomNodeTokensCache) {
+      if (!changes) {
+        this.loomNodeTokensCache = null;
+      } else {
+        for (const nodeId of [...changes.removed, ...changes.added, ...changes.updated])
+          this.loomNodeTokensCache.delete(nodeId);
+      }
+    }
+    this.refreshLoomTreeViews();
+    if (!this.loomSearchIndex)
+      return;
+    if (!changes) {
+      this.loomSearchIndex = null;
+      return;
+    }
+    for (const nodeId of changes.removed) {
+      this.loomSearchIndex.removeDocument(nodeId);
+    }
+    for (const nodeId of [...changes.added, ...changes.updated]) {
+      const node = this.index[nodeId];
+      if (node)
+        this.loomSearchIndex.addDocument(nodeId, node.text);
+    }
+  }
+  getLoomNodeDepth(nodeId) {
+    if (!this.loomNodeDepthCache)
+      this.loomNodeDepthCache = /* @__PURE__ */ new Map();
+    const cached = this.loomNodeDepthCache.get(nodeId);
+    if (cached !== void 0)
+      return cached;
+    const visited = /* @__PURE__ */ new Set();
+    const chain = [];
+    let currentId = nodeId;
+    let depth = -1;
+    while (currentId && this.index[currentId] && !visited.has(currentId)) {
+      const known = this.loomNodeDepthCache.get(currentId);
+      if (known !== void 0) {
+        depth = known;
+        break;
+      }
+      visited.add(currentId);
+      chain.push(currentId);
+      currentId = this.index[currentId].parentId;
+    }
+    for (let i = chain.length - 1; i >= 0; i--) {
+      depth++;
+      this.loomNodeDepthCache.set(chain[i], depth);
+    }
+    return Math.max(0, this.loomNodeDepthCache.get(nodeId) || 0);
+  }
+  getLoomChildIds(nodeId) {
+    if (!this.loomChildrenMap)
+      this.loomChildrenMap = buildLoomChildIdsMap(this.index);
+    return this.loomChildrenMap.get(nodeId) || [];
+  }
+  isLoomsidianLoaded() {
+    var _a, _b;
+    return !!((_b = (_a = this.app.plugins) == null ? void 0 : _a.plugins) == null ? void 0 : _b.loom);
+  }
+  openLoomNodeInLoomsidian(node) {
+    if (node.sourceId && node.sourceId !== LOOM_PRIMARY_SOURCE_ID) {
+      new import_obsidian.Notice(`This node comes from "${this.getLoomSourceName(node.sourceId)}", which Loomsidian cannot open. Showing it in the Loom Tree Explorer instead.`);
+      this.openLoomTreeView(node.id);
+      return;
+    }
+    const activeFile = this.app.workspace.getActiveFile();
+    const triggerSwitch = () => {
+      console.log(`Triggering loom:switch-to for node ${node.id}`);
+      this.app.workspace.trigger("loom:switch-to", node.id);
+      new import_obsidian.Notice(`Attempting to switch loom to node: ${node.id.substring(0, 8)}...`);
+    };
+    if (activeFile && activeFile.path === node.documentPath) {
+      triggerSwitch();
+    } else {
+      const targetFile = this.app.vault.getAbstractFileByPath(node.documentPath);
+      if (targetFile instanceof import_obsidian.TFile) {
+        console.log(`Opening file: ${node.documentPath}`);
+        this.app.workspace.getLeaf(false).openFile(targetFile).then(() => {
+          requestAnimationFrame(() => {
+            requestAnimationFrame(triggerSwitch);
+          });
+        }).catch((err) => {
+          console.error(`Error opening file ${node.documentPath}:`, err);
+          new import_obsidian.Notice("Error opening loom document.");
+        });
+      } else {
+        new import_obsidian.Notice(`Target file not found: ${node.documentPath}`);
+      }
+    }
+  }
+  async openLoomTreeView(nodeId, snapshotSource = null) {
+    let leaf = this.app.workspace.getLeavesOfType(LOOM_TREE_VIEW_TYPE)[0];
+    if (!leaf) {
+      leaf = this.app.workspace.getRightLeaf(false) || this.app.workspace.getLeaf(true);
+    }
+    const state = nodeId ? { nodeId, snapshotSource } : leaf.view instanceof LoomTreeView ? leaf.view.getState() : {};
+    await leaf.setViewState({ type: LOOM_TREE_VIEW_TYPE, active: true, state });
+    this.app.workspace.revealLeaf(leaf);
+  }
+  refreshLoomTreeViews() {
+    for (const leaf of this.app.workspace.getLeavesOfType(LOOM_TREE_VIEW_TYPE)) {
+      if (leaf.view instanceof LoomTreeView)
+        leaf.view.render();
+    }
+    for (const leaf of this.app.workspace.getLeavesOfType(LOOM_BOOKMARKS_VIEW_TYPE)) {
+      if (leaf.view instanceof LoomBookmarksView)
+        leaf.view.renderList();
+    }
+  }
+  async openLoomBookmarksView() {
+    let leaf = this.app.workspace.getLeavesOfType(LOOM_BOOKMARKS_VIEW_TYPE)[0];
+    if (!leaf) {
+      leaf = this.app.workspace.getRightLeaf(false) || this.app.workspace.getLeaf(true);
+      await leaf.setViewState({ type: LOOM_BOOKMARKS_VIEW_TYPE, active: true });
+    }
+    this.app.workspace.revealLeaf(leaf);
+  }
+  async readLoomSourceDocument(sourceId, documentPath) {
+    const source = this.getLoomSources().find((candidate) => candidate.id === sourceId);
+    if (!source)
+      return null;
+    const loomData = await LOOM_SOURCE_TYPES[source.type].read(this, source, false);
+    return loomData && loomData.state && loomData.state[documentPath] || null;
+  }
+  async getLoomNodePath(node) {
+    const docState = await this.readLoomSourceDocument(node.sourceId, node.documentPath);
+    const sourceNodeId = getLoomSourceNodeId(node);
+    if (!docState || !docState.nodes || !docState.nodes[sourceNodeId]) {
+      new import_obsidian.Notice(`Node ${sourceNodeId.substring(0, 8)} was not found in ${node.documentPath}. The Loom index may be out of date.`);
+      return null;
+    }
+    const ancestorIds = getLoomAncestorIds(docState.nodes, sourceNodeId);
+    const nodes = {};
+    for (const ancestorId of ancestorIds)
+      nodes[ancestorId] = docState.nodes[ancestorId];
+    return { sourceNodeId, ancestorIds, nodes, text: ancestorIds.map((id) => typeof nodes[id].text === "string" ? nodes[id].text : "").join("") };
+  }
+  getLoomNodeNotePath(nodeId) {
+    const entry = this.loomNodeNotes[nodeId];
+    return entry && this.app.vault.getAbstractFileByPath(entry.notePath) instanceof import_obsidian.TFile ? entry.notePath : null;
+  }
+  async promoteLoomNodeToNote(node) {
+    const existingNotePath = this.getLoomNodeNotePath(node.id);
+    if (existingNotePath) {
+      new import_obsidian.Notice(`This node already has a note: ${existingNotePath}`);
+      await this.app.workspace.getLeaf(false).openFile(this.app.vault.getAbstractFileByPath(existingNotePath));
+      return null;
+    }
+    const nodePath = await this.getLoomNodePath(node);
+    if (!nodePath)
+      return null;
+    const folderPath = (0, import_obsidian.normalizePath)(this.settings.loomPromotedNotesFolderPath);
+    await this.ensureFolderExists(folderPath);
+    const baseName = `${getLoomExportBaseName(node.documentPath, [node.documentPath])} - ${nodePath.sourceNodeId.substring(0, 8)}`;
+    let notePath = (0, import_obsidian.normalizePath)(`${folderPath}/${baseName}.md`);
+    for (let suffix = 2; this.app.vault.getAbstractFileByPath(notePath); suffix++)
+      notePath = (0, import_obsidian.normalizePath)(`${folderPath}/${baseName} ${suffix}.md`);
+    const capturedDate = (/* @__PURE__ */ new Date()).toISOString();
+    const parentChain = nodePath.ancestorIds.slice(0, -1);
+    const content = `---
+artifactType: loom-node
+originalDocPath: ${JSON.stringify(node.documentPath)}
+loomSource: ${JSON.stringify(node.sourceId)}
+loomNodeId: ${JSON.stringify(nodePath.sourceNodeId)}
+parentChain:${parentChain.length > 0 ? parentChain.map((id) => `
+  - ${JSON.stringify(id)}`).join("") : " []"}
+capturedDate: ${capturedDate}
+---
+
+${nodePath.text}
+`;
     try {
-      for (const [documentPath, docState] of Object.entries(loomData.state)) {
-        if (!docState || !docState.nodes)
+      const noteFile = await this.app.vault.create(notePath, content);
+      this.loomNodeNotes[node.id] = { notePath: noteFile.path, createdDate: capturedDate };
+      await this.savePluginData();
+      this.refreshLoomTreeViews();
+      await this.app.workspace.getLeaf(false).openFile(noteFile);
+      new import_obsidian.Notice(`Created ${notePath}.`);
+      return noteFile;
+    } catch (err) {
+      new import_obsidian.Notice(`Failed to create ${notePath}. See console.`);
+      console.error(`Failed to promote loom node ${node.id} to ${notePath}:`, err);
+      return null;
+    }
+  }
+  async promoteCurrentLoomNode(docFile) {
+    const loomData = await this.readLoomData();
+    if (!loomData)
+      return;
+    const docState = loomData.state && loomData.state[docFile.path];
+    if (!docState || !docState.current) {
+      new import_obsidian.Notice(`No Loomsidian node is selected in ${docFile.basename}.`);
+      return;
+    }
+    if (!this.index[docState.current])
+      await this.updateLoomIndexIfChanged();
+    const node = this.index[docState.current];
+    if (!node) {
+      new import_obsidian.Notice("The current Loomsidian node is not in the Loom index yet. Run \"Index Loom Data\" and try again.");
+      return;
+    }
+    await this.promoteLoomNodeToNote(node);
+  }
+  async exportLoomNodePath(node) {
+    const nodePath = await this.getLoomNodePath(node);
+    if (!nodePath)
+      return;
+    await this.ensureFolderExists((0, import_obsidian.normalizePath)(this.settings.loomExportsFolderPath));
+    const baseName = `${getLoomExportBaseName(node.documentPath, [node.documentPath])} - path ${nodePath.sourceNodeId.substring(0, 8)}`;
+    const writtenPaths = await this.exportLoomDocument(node.documentPath, { current: nodePath.sourceNodeId, nodes: nodePath.nodes }, baseName, ["json", "md"]);
+    if (writtenPaths.length > 0)
+      new import_obsidian.Notice(`Exported the path to node ${nodePath.sourceNodeId.substring(0, 8)} (${nodePath.ancestorIds.length} node(s)) to ${this.settings.loomExportsFolderPath}.`);
+  }
+  searchLoomIndex(query) {
+    const parsed = parseArtifactQuery(query, LOOM_QUERY_FILTERS);
+    return runArtifactQuery(parsed, {
+      searchIndex: this.getLoomSearchIndex(),
+      getItem: (id) => this.index[id],
+      getAllItems: () => Object.values(this.index),
+      getText: (node) => node.text,
+      filterSpecs: LOOM_QUERY_FILTERS,
+      context: this,
+      limit: 200
+    }).map((result) => ({ node: result.item, score: result.score, matchedTerms: result.matchedTerms }));
+  }
+  searchLoomPaths(query) {
+    const parsed = parseArtifactQuery(query, LOOM_QUERY_FILTERS);
+    if (parsed.groups.length === 0)
+      return this.searchLoomIndex(query);
+    const searchIndex = this.getLoomSearchIndex();
+    const termWeights = /* @__PURE__ */ new Map();
+    const getTermWeight = (term, queryTerm, expansions) => {
+      if (expansions && expansions.has(term))
+        return 1;
+      const key = `${queryTerm}\0${term}`;
+      let weight = termWeights.get(key);
+      if (weight === void 0) {
+        weight = expansions ? getQueryTermMatchWeight(term, queryTerm) : term === queryTerm ? 1 : 0;
+        termWeights.set(key, weight);
+      }
+      return weight;
+    };
+    const groupMatchers = parsed.groups.map((group) => {
+      const termGroups = searchIndex.matchTerms(group.terms);
+      const phraseGroups = searchIndex.matchTerms(group.phrases.map((phrase) => phrase[phrase.length - 1]), { prefix: false, fuzzy: false });
+      const matchedTerms = /* @__PURE__ */ new Set();
+      for (const termGroup of termGroups) {
+        for (const term of termGroup.expansions)
+          matchedTerms.add(term);
+      }
+      for (const phrase of group.phrases) {
+        for (const term of phrase)
+          matchedTerms.add(term);
+      }
+      const termMatchers = termGroups.map((termGroup) => (term) => getTermWeight(term, termGroup.term, termGroup.expansions) > 0);
+      return { group, termGroups, phraseGroups, termMatchers, matchedTerms };
+    });
+    const candidateScores = /* @__PURE__ */ new Map();
+    const boundaryTerms = this.getLoomBoundaryTerms();
+    for (const matcher of groupMatchers) {
+      const groupScores = /* @__PURE__ */ new Map();
+      for (const termGroup of [...matcher.termGroups, ...matcher.phraseGroups]) {
+        for (const [id, match] of termGroup.matches)
+          groupScores.set(id, (groupScores.get(id) || 0) + match.score);
+      }
+      for (const [id, boundaryTerm] of boundaryTerms) {
+        let weight = 0;
+        for (const termGroup of matcher.termGroups)
+          weight += getTermWeight(boundaryTerm, termGroup.term, termGroup.expansions);
+        for (const phraseGroup of matcher.phraseGroups)
+          weight += getTermWeight(boundaryTerm, phraseGroup.term, null);
+        if (weight > 0)
+          groupScores.set(id, (groupScores.get(id) || 0) + weight);
+      }
+      for (const [id, score] of groupScores)
+        candidateScores.set(id, Math.max(candidateScores.get(id) || 0, score));
+    }
+    const candidates = [...candidateScores.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+    const results = [];
+    for (const nodeId of candidates) {
+      const node = this.index[nodeId];
+      if (!node)
+        continue;
+      const pathIds = getLoomAncestorIds(this.index, nodeId);
+      const stream = this.getLoomPathTokens(pathIds);
+      let bestMatch = null;
+      for (const matcher of groupMatchers) {
+        const span = findLoomPathGroupSpan(stream, matcher.group, matcher.termMatchers);
+        if (!span || stream[span.end].pathIndex !== pathIds.length - 1)
           continue;
-        for (const [nodeId, nodeData] of Object.entries(docState.nodes)) {
-          if (!nodeData || typeof nodeData.text !== "string")
-            continue;
-          newIndex[nodeId] = {
-            id: nodeId,
-            parentId: (_a = nodeData.parentId) != null ? _a : null,
-            text: nodeData.text,
-            documentPath,
-            bookmarked: (_b = nodeData.bookmarked) != null ? _b : false
-          };
-        }
+        if (!bestMatch || span.start > bestMatch.start)
+          bestMatch = { start: span.start, matchedTerms: matcher.matchedTerms };
       }
-      this.index = newIndex;
-      const message = `Loom Index built successfully with ${Object.keys(this.index).length} nodes.`;
-      console.log(message);
-      if (isManualRun)
-        new import_obsidian.Notice(message);
-    } catch (error) {
-      new import_obsidian.Notice("Error building index from loom data. See console for details.");
-      console.error("Error building loom index:", error);
-      this.index = {};
+      if (!bestMatch)
+        continue;
+      const pathTerms = stream.map((token) => token.term);
+      if (parsed.excludedTerms.some((term) => pathTerms.includes(term)))
+        continue;
+      if (parsed.excludedPhrases.some((phrase) => containsTermSequence(pathTerms, phrase)))
+        continue;
+      if (!parsed.filters.every((filter) => LOOM_QUERY_FILTERS[filter.key].test(node, filter.value, this) !== filter.negated))
+        continue;
+      const pathSpanIds = pathIds.slice(stream[bestMatch.start].startPathIndex);
+      results.push({ node, score: candidateScores.get(nodeId) / pathSpanIds.length, matchedTerms: bestMatch.matchedTerms, pathSpanIds });
+      if (results.length >= 200)
+        break;
     }
+    return results.sort((a, b) => b.score - a.score);
   }
-  searchLoomIndex(query) {
-    const lowerCaseQuery = query.toLowerCase();
-    if (!lowerCaseQuery)
-      return [];
-    return Object.values(this.index).filter(
-      (node) => node.text.toLowerCase().includes(lowerCaseQuery)
-    );
+  buildScreenshotSearchIndex() {
+    const searchIndex = new TextSearchIndex();
+    for (const info of Object.values(this.screenshotIndex)) {
+      if (info.ocrText)
+        searchIndex.addDocument(info.imagePath, info.ocrText);
+    }
+    return searchIndex;
   }
-  searchScreenshots(query) {
-    const lowerCaseQuery = query.toLowerCase();
-    if (!lowerCaseQuery)
-      return [];
-    return Object.values(this.screenshotIndex).filter((info) => {
-      return !!info.ocrText && info.ocrText.toLowerCase().includes(lowerCaseQuery);
-    }).sort((a, b) => (b.lastOcrAttemptDate || 0) - (a.lastOcrAttemptDate || 0));
+  searchScreenshots(query, searchIndex = this.buildScreenshotSearchIndex()) {
+    const parsed = parseArtifactQuery(query, SCREENSHOT_QUERY_FILTERS);
+    return runArtifactQuery(parsed, {
+      searchIndex,
+      getItem: (imagePath) => this.screenshotIndex[imagePath],
+      getAllItems: () => Object.values(this.screenshotIndex),
+      getText: (info) => info.ocrText || "",
+      filterSpecs: SCREENSHOT_QUERY_FILTERS,
+      context: this,
+      compareUnranked: (a, b) => (b.lastOcrAttemptDate || 0) - (a.lastOcrAttemptDate || 0),
+      limit: 200
+    }).map((result) => ({ info: result.item, score: result.score, matchedTerms: result.matchedTerms }));
   }
   // --- Loomsidian Backup Logic ---
-  async getLoomDataFileInfo() {
-    const loomDataPath = (0, import_obsidian.normalizePath)(LOOM_DATA_PATH);
+  async getLoomDataFileInfo(verbose = true, path = this.getLoomDataPath()) {
+    const loomDataPath = (0, import_obsidian.normalizePath)(path);
     try {
       const fileExists = await this.app.vault.adapter.exists(loomDataPath);
       if (fileExists) {
         const stats = await this.app.vault.adapter.stat(loomDataPath);
         if (stats && stats.type === "file") {
-          console.log(`[getLoomDataFileInfo] Found: ${loomDataPath}, Size: ${stats.size}, mtime: ${stats.mtime}`);
+          if (verbose)
+            console.log(`[getLoomDataFileInfo] Found: ${loomDataPath}, Size: ${stats.size}, mtime: ${stats.mtime}`);
           return { path: loomDataPath, size: stats.size, exists: true, mtime: stats.mtime };
         }
       }
-      console.warn(`[getLoomDataFileInfo] Loomsidian data.json not found or not a file at: ${loomDataPath}`);
+      if (verbose)
+        console.warn(`[getLoomDataFileInfo] Loomsidian data.json not found or not a file at: ${loomDataPath}`);
       return { path: loomDataPath, size: 0, exists: false, mtime: 0 };
     } catch (err) {
       console.error(`[getLoomDataFileInfo] Error accessing Loomsidian data.json at ${loomDataPath}:`, err);
       return null;
     }
   }
-  async performLoomBackup(sourcePath, currentSize) {
-    if (!this.settings.enableLoomBackup)
-      return;
+  async performLoomBackup(sourcePath, currentSize, force = false, keepBackupPaths = []) {
+    if (!this.settings.enableLoomBackup && !force)
+      return null;
+    if (this.loomBackupPromise && !force) {
+      console.log("A Loomsidian backup is already running. Skipping this backup check.");
+      return null;
+    }
+    while (this.loomBackupPromise)
+      await this.loomBackupPromise;
+    this.loomBackupPromise = this.performLoomBackupUnlocked(sourcePath, currentSize, keepBackupPaths);
+    try {
+      return await this.loomBackupPromise;
+    } finally {
+      this.loomBackupPromise = null;
+    }
+  }
+  async performLoomBackupUnlocked(sourcePath, currentSize, keepBackupPaths) {
     const backupFolderRelPath = (0, import_obsidian.normalizePath)(this.settings.loomBackupFolderPath);
     try {
       const backupFolder = this.app.vault.getAbstractFileByPath(backupFolderRelPath);
@@ -1246,37 +5467,277 @@ ${sourceNotePaths.map((p) => `  - "${p}"`).join("\n")}
         await this.app.vault.createFolder(backupFolderRelPath);
         console.log(`Created Loomsidian backup folder: ${backupFolderRelPath}`);
       }
-      const timestamp = (/* @__PURE__ */ new Date()).toISOString().replace(/[:.]/g, "-");
-      const backupFileName = `data_${timestamp}.json`;
-      const backupDestPath = (0, import_obsidian.normalizePath)(`${backupFolderRelPath}/${backupFileName}`);
-      await this.app.vault.adapter.copy(sourcePath, backupDestPath);
+      const objectsFolderPath = (0, import_obsidian.normalizePath)(`${backupFolderRelPath}/${LOOM_BACKUP_OBJECTS_FOLDER}`);
+      if (!await this.app.vault.adapter.exists(objectsFolderPath))
+        await this.app.vault.adapter.mkdir(objectsFolderPath);
+      const sourceText = await this.app.vault.adapter.read(sourcePath);
+      let loomData;
+      try {
+        loomData = JSON.parse(sourceText);
+      } catch (parseError) {
+        new import_obsidian.Notice("Loomsidian data.json is not valid JSON (it may be in the middle of a save). Backup skipped.", 0);
+        console.error(`Loomsidian backup skipped: ${sourcePath} could not be parsed.`, parseError);
+        return null;
+      }
+      const { state, ...otherData } = loomData;
+      if (!state || typeof state !== "object") {
+        new import_obsidian.Notice("Loomsidian data.json has no document state. Backup skipped.", 0);
+        console.error(`Loomsidian backup skipped: ${sourcePath} has no "state" object.`);
+        return null;
+      }
+      const documents = {};
+      const nodeCounts = {};
+      let storedObjectCount = 0;
+      for (const [documentPath, docState] of Object.entries(state)) {
+        const content = JSON.stringify(docState);
+        const hash = await sha256Hex(content);
+        const objectPath = (0, import_obsidian.normalizePath)(`${objectsFolderPath}/${hash}.json`);
+        if (!await this.app.vault.adapter.exists(objectPath) || await this.app.vault.adapter.read(objectPath) !== content) {
+          await this.app.vault.adapter.write(objectPath, content);
+          storedObjectCount++;
+        }
+        documents[documentPath] = hash;
+        nodeCounts[documentPath] = countLoomDocumentNodes(docState);
+      }
+      const createdDate = /* @__PURE__ */ new Date();
+      const timestamp = createdDate.toISOString().replace(/[:.]/g, "-");
+      const backupDestPath = (0, import_obsidian.normalizePath)(`${backupFolderRelPath}/snapshot_${timestamp}.json`);
+      const manifest = {
+        format: LOOM_SNAPSHOT_FORMAT,
+        version: 1,
+        createdDate: createdDate.toISOString(),
+        sourceSize: currentSize,
+        sourceChecksum: await sha256Hex(sourceText),
+        totalNodeCount: Object.values(nodeCounts).reduce((sum, count) => sum + count, 0),
+        documents,
+        nodeCounts,
+        data: otherData
+      };
+      await this.app.vault.adapter.write(backupDestPath, JSON.stringify(manifest, null, 2));
+      const verification = await this.verifyLoomBackup({ path: backupDestPath, kind: "snapshot" });
+      if (!verification.ok) {
+        new import_obsidian.Notice(`The new Loomsidian backup failed verification and was discarded: ${verification.problems[0]}. Old backups were not pruned.`, 0);
+        console.error(`Loomsidian backup ${backupDestPath} failed verification:`, verification.problems);
+        await this.app.vault.adapter.remove(backupDestPath);
+        return null;
+      }
       new import_obsidian.Notice(`Loomsidian data backed up to ${backupDestPath}`, 5e3);
-      console.log(`Loomsidian data backed up: ${sourcePath} -> ${backupDestPath}`);
+      console.log(`Loomsidian data backed up and verified: ${sourcePath} -> ${backupDestPath} (${Object.keys(documents).length} documents, ${manifest.totalNodeCount} nodes, ${storedObjectCount} new document version(s) stored)`);
       this.lastLoomDataBackupSize = currentSize;
       await this.savePluginData();
-      const fileList = await this.app.vault.adapter.list(backupFolderRelPath);
-      const backupFiles = fileList.files.filter((p) => p.endsWith(".json") && p.startsWith((0, import_obsidian.normalizePath)(backupFolderRelPath + "/data_"))).map((filePath) => ({ path: filePath, name: filePath.split("/").pop() || "" })).sort((a, b) => b.name.localeCompare(a.name));
-      if (backupFiles.length > this.settings.maxLoomBackups) {
-        const toDelete = backupFiles.slice(this.settings.maxLoomBackups);
-        let prunedCount = 0;
-        for (const oldBackup of toDelete) {
-          try {
-            await this.app.vault.adapter.remove(oldBackup.path);
-            console.log(`Pruned old Loom backup: ${oldBackup.path}`);
-            prunedCount++;
-          } catch (e) {
-            console.error(`Failed to prune old Loom backup ${oldBackup.path}:`, e);
-          }
+      await this.pruneLoomBackups(keepBackupPaths, backupDestPath);
+      return backupDestPath;
+    } catch (err) {
+      new import_obsidian.Notice("Failed to create Loomsidian backup. Check console.", 0);
+      console.error("Loomsidian backup failed:", err);
+      return null;
+    }
+  }
+  async pruneLoomBackups(keepBackupPaths, verifiedBackupPath) {
+    const backups = await this.listLoomBackups();
+    const protectedBackups = { [verifiedBackupPath]: "last verified backup" };
+    for (const path of keepBackupPaths)
+      protectedBackups[path] = "in use";
+    const stalePins = Object.keys(this.pinnedLoomBackups).filter((path) => !backups.some((backup) => backup.path === path));
+    if (stalePins.length > 0) {
+      for (const path of stalePins)
+        delete this.pinnedLoomBackups[path];
+      await this.savePluginData();
+    }
+    const toDelete = planLoomBackupRetention(backups, this.settings, this.pinnedLoomBackups, protectedBackups).filter((entry) => !entry.keep).map((entry) => entry.backup);
+    let prunedCount = 0;
+    for (const oldBackup of toDelete) {
+      try {
+        await this.app.vault.adapter.remove(oldBackup.path);
+        console.log(`Pruned old Loom backup: ${oldBackup.path}`);
+        prunedCount++;
+      } catch (e) {
+        console.error(`Failed to prune old Loom backup ${oldBackup.path}:`, e);
+      }
+    }
+    if (prunedCount > 0) {
+      await this.removeUnreferencedLoomBackupObjects();
+      new import_obsidian.Notice(`Pruned ${prunedCount} old Loom backup(s).`, 3e3);
+    }
+  }
+  async verifyLoomBackup(backup, objectResults = /* @__PURE__ */ new Map()) {
+    const problems = [];
+    let nodeCount = 0;
+    let text;
+    try {
+      text = await this.app.vault.adapter.read(backup.path);
+    } catch (err) {
+      return { ok: false, problems: [`could not be read (${err.message || err})`], nodeCount };
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      return { ok: false, problems: ["is not valid JSON (truncated or corrupt)"], nodeCount };
+    }
+    if (backup.kind !== "snapshot") {
+      if (!parsed || !parsed.state || typeof parsed.state !== "object")
+        return { ok: false, problems: ['has no "state" object'], nodeCount };
+      for (const docState of Object.values(parsed.state))
+        nodeCount += countLoomDocumentNodes(docState);
+      return { ok: true, problems, nodeCount };
+    }
+    if (!parsed || parsed.format !== LOOM_SNAPSHOT_FORMAT || !parsed.documents)
+      return { ok: false, problems: ["is not a Loom snapshot manifest"], nodeCount };
+    const objectsFolderPath = (0, import_obsidian.normalizePath)(`${this.settings.loomBackupFolderPath}/${LOOM_BACKUP_OBJECTS_FOLDER}`);
+    for (const [documentPath, hash] of Object.entries(parsed.documents)) {
+      let objectResult = objectResults.get(hash);
+      if (!objectResult) {
+        const objectPath = (0, import_obsidian.normalizePath)(`${objectsFolderPath}/${hash}.json`);
+        objectResult = { problem: null, nodeCount: 0 };
+        try {
+          const content = await this.app.vault.adapter.read(objectPath);
+          if (await sha256Hex(content) !== hash)
+            objectResult.problem = "has a checksum mismatch";
+          else
+            objectResult.nodeCount = countLoomDocumentNodes(JSON.parse(content));
+        } catch (err) {
+          objectResult.problem = await this.app.vault.adapter.exists(objectPath) ? "is unreadable" : "is missing";
         }
-        if (prunedCount > 0) {
-          new import_obsidian.Notice(`Pruned ${prunedCount} old Loom backup(s).`, 3e3);
+        objectResults.set(hash, objectResult);
+      }
+      if (objectResult.problem) {
+        problems.push(`${documentPath}: stored version ${hash.substring(0, 12)} ${objectResult.problem}`);
+        continue;
+      }
+      nodeCount += objectResult.nodeCount;
+      if (parsed.nodeCounts && typeof parsed.nodeCounts[documentPath] === "number" && parsed.nodeCounts[documentPath] !== objectResult.nodeCount)
+        problems.push(`${documentPath}: ${objectResult.nodeCount} nodes, manifest records ${parsed.nodeCounts[documentPath]}`);
+    }
+    if (problems.length === 0 && typeof parsed.totalNodeCount === "number" && parsed.totalNodeCount !== nodeCount)
+      problems.push(`${nodeCount} nodes in total, manifest records ${parsed.totalNodeCount}`);
+    return { ok: problems.length === 0, problems, nodeCount };
+  }
+  async verifyAllLoomBackups() {
+    const backups = await this.listLoomBackups();
+    if (backups.length === 0) {
+      new import_obsidian.Notice(`No Loom backups found in ${this.settings.loomBackupFolderPath}.`);
+      return;
+    }
+    const progressNotice = new import_obsidian.Notice(`Verifying ${backups.length} Loom backup(s)...`, 0);
+    const objectResults = /* @__PURE__ */ new Map();
+    const results = [];
+    for (const [position, backup] of backups.entries()) {
+      progressNotice.setMessage(`Verifying Loom backup ${position + 1}/${backups.length}: ${backup.name}`);
+      results.push({ backup, ...await this.verifyLoomBackup(backup, objectResults) });
+    }
+    progressNotice.hide();
+    const failedCount = results.filter((result) => !result.ok).length;
+    console.log(`Verified ${backups.length} Loom backup(s): ${failedCount} with problems.`, results.filter((result) => !result.ok));
+    new LoomBackupVerifyModal(this.app, results).open();
+  }
+  async setLoomBackupPin(path, name) {
+    if (name === null)
+      delete this.pinnedLoomBackups[path];
+    else
+      this.pinnedLoomBackups[path] = name;
+    await this.savePluginData();
+  }
+  async removeUnreferencedLoomBackupObjects() {
+    const backupFolderRelPath = (0, import_obsidian.normalizePath)(this.settings.loomBackupFolderPath);
+    const objectsFolderPath = (0, import_obsidian.normalizePath)(`${backupFolderRelPath}/${LOOM_BACKUP_OBJECTS_FOLDER}`);
+    if (!await this.app.vault.adapter.exists(objectsFolderPath))
+      return;
+    const referencedHashes = /* @__PURE__ */ new Set();
+    for (const backup of await this.listLoomBackups()) {
+      if (backup.kind !== "snapshot")
+        continue;
+      const manifest = await this.readLoomSnapshotManifest(backup.path);
+      if (!manifest) {
+        console.warn(`Skipping unused Loom backup object cleanup: ${backup.path} could not be read.`);
+        return;
+      }
+      for (const hash of Object.values(manifest.documents))
+        referencedHashes.add(hash);
+    }
+    const objectList = await this.app.vault.adapter.list(objectsFolderPath);
+    let removedCount = 0;
+    for (const objectPath of objectList.files) {
+      const hash = (objectPath.split("/").pop() || "").replace(/\.json$/, "");
+      if (referencedHashes.has(hash))
+        continue;
+      try {
+        await this.app.vault.adapter.remove(objectPath);
+        removedCount++;
+      } catch (e) {
+        console.error(`Failed to remove unused Loom backup object ${objectPath}:`, e);
+      }
+    }
+    if (removedCount > 0)
+      console.log(`Removed ${removedCount} Loom backup object(s) no longer used by any snapshot.`);
+  }
+  async readLoomSnapshotManifest(path) {
+    try {
+      const manifest = JSON.parse(await this.app.vault.adapter.read(path));
+      return manifest && manifest.format === LOOM_SNAPSHOT_FORMAT && manifest.documents ? manifest : null;
+    } catch (err) {
+      console.error(`Failed to read Loom backup manifest ${path}:`, err);
+      return null;
+    }
+  }
+  async listLoomBackups() {
+    const backupFolderRelPath = (0, import_obsidian.normalizePath)(this.settings.loomBackupFolderPath);
+    if (!await this.app.vault.adapter.exists(backupFolderRelPath))
+      return [];
+    const fileList = await this.app.vault.adapter.list(backupFolderRelPath);
+    const backups = [];
+    for (const filePath of fileList.files) {
+      const name = filePath.split("/").pop() || "";
+      const kind = name.startsWith("snapshot_") ? "snapshot" : name.startsWith("data_") ? "full" : null;
+      if (!kind || !name.endsWith(".json"))
+        continue;
+      const stats = await this.app.vault.adapter.stat(filePath);
+      let size = stats ? stats.size : 0;
+      if (kind === "snapshot") {
+        const manifest = await this.readLoomSnapshotManifest(filePath);
+        if (manifest && typeof manifest.sourceSize === "number")
+          size = manifest.sourceSize;
+      }
+      backups.push({ path: filePath, name, kind, size, date: parseLoomBackupDate(name) || new Date(stats ? stats.mtime : 0) });
+    }
+    return backups.sort((a, b) => b.date.getTime() - a.date.getTime());
+  }
+  async readLoomBackup(source) {
+    if (source === LIVE_LOOM_DATA_SOURCE)
+      return await this.readLoomData(false);
+    try {
+      if ((source.split("/").pop() || "").startsWith("snapshot_")) {
+        const manifest = await this.readLoomSnapshotManifest(source);
+        if (!manifest)
+          return null;
+        const objectsFolderPath = (0, import_obsidian.normalizePath)(`${this.settings.loomBackupFolderPath}/${LOOM_BACKUP_OBJECTS_FOLDER}`);
+        const state = {};
+        for (const [documentPath, hash] of Object.entries(manifest.documents)) {
+          state[documentPath] = JSON.parse(await this.app.vault.adapter.read((0, import_obsidian.normalizePath)(`${objectsFolderPath}/${hash}.json`)));
         }
+        return { ...manifest.data, state };
       }
+      const loomData = JSON.parse(await this.app.vault.adapter.read(source));
+      return loomData && loomData.state ? loomData : null;
     } catch (err) {
-      new import_obsidian.Notice("Failed to create Loomsidian backup. Check console.", 0);
-      console.error("Loomsidian backup failed:", err);
+      console.error(`Failed to read Loom backup ${source}:`, err);
+      return null;
     }
   }
+  async loadLoomSnapshot(source) {
+    const loomData = await this.readLoomBackup(source);
+    if (!loomData)
+      return null;
+    const index = buildLoomIndexFromData(loomData);
+    return { index, childIdsMap: buildLoomChildIdsMap(index) };
+  }
+  async openLoomBackupDiffView(oldSource, newSource) {
+    let leaf = this.app.workspace.getLeavesOfType(LOOM_BACKUP_DIFF_VIEW_TYPE)[0];
+    if (!leaf)
+      leaf = this.app.workspace.getLeaf(true);
+    await leaf.setViewState({ type: LOOM_BACKUP_DIFF_VIEW_TYPE, active: true, state: { oldSource, newSource } });
+    this.app.workspace.revealLeaf(leaf);
+  }
   async triggerLoomBackupCheck(isManual = false) {
     if (!this.settings.enableLoomBackup && !isManual) {
       console.log("Loom backup disabled, check skipped.");
@@ -1305,6 +5766,10 @@ ${sourceNotePaths.map((p) => `  - "${p}"`).join("\n")}
       return;
     }
     if (isManual) {
+      if (this.loomBackupPromise) {
+        new import_obsidian.Notice("A Loomsidian backup is already running.");
+        return;
+      }
       new import_obsidian.Notice("Manual Loomsidian backup initiated...");
       await this.performLoomBackup(loomDataFileInfo.path, currentSize);
       return;
@@ -1354,8 +5819,32 @@ ${sourceNotePaths.map((p) => `  - "${p}"`).join("\n")}
       }
     }, delayUntilNextCheck);
   }
-  async exportFullLoomForDocument(docFile) {
-    console.log(`Attempting to export full Loom for document: ${docFile.path}`);
+  getDefaultLoomExportFormats() {
+    const formats = ["json", "md"];
+    if (this.settings.loomExportIncludeCanvas)
+      formats.push("canvas");
+    if (this.settings.loomExportIncludeHtml)
+      formats.push("html");
+    return formats;
+  }
+  async ensureFolderExists(folderPath) {
+    const folder = this.app.vault.getAbstractFileByPath(folderPath);
+    if (!(folder instanceof import_obsidian.TFolder)) {
+      await this.app.vault.createFolder(folderPath);
+      console.log(`Created folder: ${folderPath}`);
+    }
+  }
+  async writeExportFile(path, content) {
+    const existing = this.app.vault.getAbstractFileByPath(path);
+    if (existing instanceof import_obsidian.TFile) {
+      await this.app.vault.modify(existing, content);
+      return existing;
+    }
+    return await this.app.vault.create(path, content);
+  }
+  async exportFullLoomForDocument(docFile, formats = null) {
+    const exportFormats = formats || this.getDefaultLoomExportFormats();
+    console.log(`Attempting to export full Loom for document: ${docFile.path} (${exportFormats.join(", ")})`);
     new import_obsidian.Notice(`Exporting Loom data for ${docFile.basename}...`, 3e3);
     const loomData = await this.readLoomData();
     if (!loomData || !loomData.state || !loomData.state[docFile.path]) {
@@ -1371,17 +5860,19 @@ ${sourceNotePaths.map((p) => `  - "${p}"`).join("\n")}
     }
     const exportFolderRelPath = (0, import_obsidian.normalizePath)(this.settings.loomExportsFolderPath);
     try {
-      const exportFolder = this.app.vault.getAbstractFileByPath(exportFolderRelPath);
-      if (!(exportFolder instanceof import_obsidian.TFolder)) {
-        await this.app.vault.createFolder(exportFolderRelPath);
-        console.log(`Created Loom export folder: ${exportFolderRelPath}`);
-      }
+      await this.ensureFolderExists(exportFolderRelPath);
     } catch (err) {
       new import_obsidian.Notice(`Failed to create Loom export folder: ${exportFolderRelPath}. Cannot export.`);
       console.error(`Failed to create Loom export folder ${exportFolderRelPath}:`, err);
       return;
     }
-    const baseName = docFile.basename;
+    const writtenPaths = await this.exportLoomDocument(docFile.path, noteState, docFile.basename, exportFormats);
+    if (writtenPaths.length > 0) {
+      new import_obsidian.Notice(`Successfully exported Loom for ${docFile.basename} to ${exportFolderRelPath} (${writtenPaths.map((path) => path.split(".").pop()).join(", ")}).`, 0);
+    }
+  }
+  async exportLoomDocument(docPath, noteState, baseName, exportFormats) {
+    const exportFolderRelPath = (0, import_obsidian.normalizePath)(this.settings.loomExportsFolderPath);
     const jsonExportName = `${baseName}.loomartifact.json`;
     const mdExportName = `${baseName}.loomartifact.md`;
     const jsonExportPath = (0, import_obsidian.normalizePath)(`${exportFolderRelPath}/${jsonExportName}`);
@@ -1392,48 +5883,451 @@ ${sourceNotePaths.map((p) => `  - "${p}"`).join("\n")}
       nodes: noteState.nodes
       // The complete set of nodes for this document's loom
     };
-    try {
-      await this.app.vault.create(jsonExportPath, JSON.stringify(exportJsonData, null, 2));
-      console.log(`Exported Loom JSON data to: ${jsonExportPath}`);
-    } catch (err) {
-      new import_obsidian.Notice(`Failed to export Loom JSON data to ${jsonExportPath}. See console.`);
-      console.error(`Failed to export Loom JSON data to ${jsonExportPath}:`, err);
-      return;
-    }
-    let currentPathText = "(Could not reconstruct current path for exported loom)";
-    if (exportJsonData.current && exportJsonData.nodes) {
-      let text = "";
-      let currentId = exportJsonData.current;
-      const nodesMap = exportJsonData.nodes;
-      while (currentId) {
-        const node = nodesMap[currentId];
-        if (node && typeof node.text === "string") {
-          text = node.text + text;
-          currentId = node.parentId;
-        } else {
-          console.warn(`Node ${currentId} not found or text missing during MD export reconstruction.`);
-          currentId = null;
-        }
+    if (exportFormats.includes("json")) {
+      try {
+        await this.writeExportFile(jsonExportPath, JSON.stringify(exportJsonData, null, 2));
+        console.log(`Exported Loom JSON data to: ${jsonExportPath}`);
+      } catch (err) {
+        new import_obsidian.Notice(`Failed to export Loom JSON data to ${jsonExportPath}. See console.`);
+        console.error(`Failed to export Loom JSON data to ${jsonExportPath}:`, err);
+        return [];
       }
-      currentPathText = text;
     }
-    const mdFrontmatter = `---
+    const writtenPaths = exportFormats.includes("json") ? [jsonExportPath] : [];
+    if (exportFormats.includes("md")) {
+      let currentPathText = "(Could not reconstruct current path for exported loom)";
+      if (exportJsonData.current && exportJsonData.nodes) {
+        const nodesMap = exportJsonData.nodes;
+        currentPathText = getLoomAncestorIds(nodesMap, exportJsonData.current).map((id) => typeof nodesMap[id].text === "string" ? nodesMap[id].text : "").join("");
+      }
+      const mdFrontmatter = `---
 artifactType: loom-export
 loomDataFile: "./${jsonExportName}"
 exportedDate: ${(/* @__PURE__ */ new Date()).toISOString()}
-originalDocPath: "${docFile.path}"
-originalCurrentNodeId: "${noteState.current || ""}"
+originalDocPath: ${JSON.stringify(docPath)}
+originalCurrentNodeId: ${JSON.stringify(noteState.current || "")}
+---
+
+`;
+      const mdContent = mdFrontmatter + currentPathText;
+      try {
+        await this.writeExportFile(mdExportPath, mdContent);
+        console.log(`Exported Loom Markdown to: ${mdExportPath}`);
+        writtenPaths.push(mdExportPath);
+      } catch (err) {
+        new import_obsidian.Notice(`Failed to export Loom Markdown to ${mdExportPath}. See console.`);
+        console.error(`Failed to export Loom Markdown to ${mdExportPath}:`, err);
+      }
+    }
+    if (exportFormats.includes("canvas")) {
+      const canvasExportPath = (0, import_obsidian.normalizePath)(`${exportFolderRelPath}/${baseName}.loomartifact.canvas`);
+      try {
+        await this.writeExportFile(canvasExportPath, JSON.stringify(buildLoomCanvasData(noteState.nodes, noteState.current), null, 2));
+        console.log(`Exported Loom Canvas to: ${canvasExportPath}`);
+        writtenPaths.push(canvasExportPath);
+      } catch (err) {
+        new import_obsidian.Notice(`Failed to export Loom Canvas to ${canvasExportPath}. See console.`);
+        console.error(`Failed to export Loom Canvas to ${canvasExportPath}:`, err);
+      }
+    }
+    if (exportFormats.includes("html")) {
+      const htmlExportPath = (0, import_obsidian.normalizePath)(`${exportFolderRelPath}/${baseName}.loomartifact.html`);
+      try {
+        await this.writeExportFile(htmlExportPath, buildLoomHtmlDocument(baseName, noteState.nodes, noteState.current));
+        console.log(`Exported Loom HTML to: ${htmlExportPath}`);
+        writtenPaths.push(htmlExportPath);
+      } catch (err) {
+        new import_obsidian.Notice(`Failed to export Loom HTML to ${htmlExportPath}. See console.`);
+        console.error(`Failed to export Loom HTML to ${htmlExportPath}:`, err);
+      }
+    }
+    return writtenPaths;
+  }
+  async exportLoomBranches(docPath, noteState, baseName, branchMode) {
+    const branchFolderPath = (0, import_obsidian.normalizePath)(`${this.settings.loomExportsFolderPath}/${baseName} branches`);
+    const branchEndIds = getLoomBranchEndIds(noteState.nodes, branchMode);
+    const branches = [];
+    if (branchEndIds.length > 0)
+      await this.ensureFolderExists(branchFolderPath);
+    let failedCount = 0;
+    const shortIdCounts = /* @__PURE__ */ new Map();
+    for (const endNodeId of branchEndIds) {
+      const shortId = endNodeId.substring(0, 8);
+      shortIdCounts.set(shortId, (shortIdCounts.get(shortId) || 0) + 1);
+    }
+    for (const endNodeId of branchEndIds) {
+      const pathIds = getLoomAncestorIds(noteState.nodes, endNodeId);
+      const endNode = noteState.nodes[endNodeId];
+      const shortId = endNodeId.substring(0, 8);
+      const branchPath = (0, import_obsidian.normalizePath)(`${branchFolderPath}/${baseName} - branch ${shortIdCounts.get(shortId) > 1 ? endNodeId : shortId}.md`);
+      const content = `---
+artifactType: loom-branch-export
+originalDocPath: ${JSON.stringify(docPath)}
+branchEndNodeId: ${JSON.stringify(endNodeId)}
+branchDepth: ${pathIds.length - 1}
+bookmarked: ${!!endNode.bookmarked}
+exportedDate: ${(/* @__PURE__ */ new Date()).toISOString()}
+---
+
+` + pathIds.map((id) => typeof noteState.nodes[id].text === "string" ? noteState.nodes[id].text : "").join("");
+      try {
+        await this.writeExportFile(branchPath, content);
+        branches.push({ path: branchPath, endNodeId, depth: pathIds.length - 1, bookmarked: !!endNode.bookmarked, isCurrent: endNodeId === noteState.current, label: getLoomNodeLabel(endNode.text, 60) });
+      } catch (err) {
+        failedCount++;
+        console.error(`Failed to export Loom branch ${branchPath}:`, err);
+      }
+    }
+    if (failedCount > 0) {
+      console.warn(`${failedCount} Loom branch export(s) for ${docPath} failed; keeping older branch notes in ${branchFolderPath}.`);
+      return branches;
+    }
+    const folder = this.app.vault.getAbstractFileByPath(branchFolderPath);
+    if (folder instanceof import_obsidian.TFolder) {
+      const writtenBranchPaths = new Set(branches.map((branch) => branch.path));
+      for (const child of [...folder.children]) {
+        if (!(child instanceof import_obsidian.TFile) || !child.name.startsWith(`${baseName} - branch `) || child.extension !== "md" || writtenBranchPaths.has(child.path))
+          continue;
+        const cache = this.app.metadataCache.getFileCache(child);
+        if (!cache || !cache.frontmatter || cache.frontmatter.artifactType !== "loom-branch-export")
+          continue;
+        console.log(`Removing stale Loom branch export: ${child.path}`);
+        await this.app.vault.trash(child, false);
+      }
+    }
+    return branches;
+  }
+  async writeLoomDocumentExportIndex(docPath, baseName, branchMode, writtenPaths, branches) {
+    const indexPath = (0, import_obsidian.normalizePath)(`${this.settings.loomExportsFolderPath}/${baseName}.loomartifact.index.md`);
+    let content = `---
+artifactType: loom-export-index
+originalDocPath: ${JSON.stringify(docPath)}
+branchMode: ${branchMode}
+branchCount: ${branches.length}
+exportedDate: ${(/* @__PURE__ */ new Date()).toISOString()}
+---
+
+# ${baseName}
+
+Source document: [[${docPath}]]
+
+## Files
+`;
+    for (const path of writtenPaths) {
+      content += `- [[${path}]]
+`;
+    }
+    if (branches.length > 0) {
+      content += `
+## Branches (${LOOM_BRANCH_EXPORT_MODES[branchMode]})
+`;
+      for (const branch of branches) {
+        const markers = [`depth ${branch.depth}`];
+        if (branch.bookmarked)
+          markers.push("\u2605 bookmarked");
+        if (branch.isCurrent)
+          markers.push("current");
+        content += `- [[${branch.path}|${branch.label.replace(/[\[\]|]/g, "")}]] (${markers.join(", ")})
+`;
+      }
+    }
+    await this.writeExportFile(indexPath, content);
+    return indexPath;
+  }
+  async exportAllLoomDocuments(defaultBranchMode, branchModeOverrides = {}) {
+    const documents = await this.collectLoomDocuments();
+    if (documents.length === 0) {
+      new import_obsidian.Notice("No Loom documents could be read. Batch export aborted.");
+      return;
+    }
+    const exportFolderRelPath = (0, import_obsidian.normalizePath)(this.settings.loomExportsFolderPath);
+    try {
+      await this.ensureFolderExists(exportFolderRelPath);
+    } catch (err) {
+      new import_obsidian.Notice(`Failed to create Loom export folder: ${exportFolderRelPath}. Cannot export.`);
+      console.error(`Failed to create Loom export folder ${exportFolderRelPath}:`, err);
+      return;
+    }
+    const documentKeys = documents.map((doc) => doc.key);
+    const progressNotice = new import_obsidian.Notice(`Exporting ${documents.length} Loom document(s)...`, 0);
+    const exportedDocuments = [];
+    for (const [position, { key, documentPath: docPath, docState: noteState }] of documents.entries()) {
+      const branchMode = branchModeOverrides[key] || defaultBranchMode;
+      if (branchMode === "skip")
+        continue;
+      const baseName = getLoomExportBaseName(key, documentKeys);
+      progressNotice.setMessage(`Exporting Loom ${position + 1}/${documents.length}: ${baseName}`);
+      try {
+        const writtenPaths = await this.exportLoomDocument(docPath, noteState, baseName, this.getDefaultLoomExportFormats());
+        const branches = branchMode === "current" ? [] : await this.exportLoomBranches(docPath, noteState, baseName, branchMode);
+        const indexPath = await this.writeLoomDocumentExportIndex(docPath, baseName, branchMode, writtenPaths, branches);
+        exportedDocuments.push({ key, indexPath, branchCount: branches.length });
+      } catch (err) {
+        new import_obsidian.Notice(`Failed to export Loom for ${docPath}. See console.`);
+        console.error(`Failed to export Loom for ${docPath}:`, err);
+      }
+    }
+    let overviewContent = `---
+artifactType: loom-export-overview
+exportedDate: ${(/* @__PURE__ */ new Date()).toISOString()}
+documentCount: ${exportedDocuments.length}
 ---
 
+# Loom Exports
+
 `;
-    const mdContent = mdFrontmatter + currentPathText;
+    for (const exported of exportedDocuments) {
+      overviewContent += `- [[${exported.indexPath}|${exported.key.replace(/[[\]|]/g, "")}]]${exported.branchCount > 0 ? ` (${exported.branchCount} branch note(s))` : ""}
+`;
+    }
+    try {
+      await this.writeExportFile((0, import_obsidian.normalizePath)(`${exportFolderRelPath}/Loom Exports Index.md`), overviewContent);
+    } catch (err) {
+      new import_obsidian.Notice("Failed to write the Loom Exports Index overview. See console.");
+      console.error("Failed to write Loom Exports Index:", err);
+    }
+    progressNotice.hide();
+    new import_obsidian.Notice(`Exported ${exportedDocuments.length} Loom document(s) to ${exportFolderRelPath}.`, 0);
+  }
+  startConversationImport() {
+    const exportFiles = this.app.vault.getFiles().filter((file) => file.extension === "json" && !file.name.endsWith(".loomartifact.json"));
+    if (exportFiles.length === 0) {
+      new import_obsidian.Notice("No .json files found in the vault. Copy conversations.json from a ChatGPT or Claude export into the vault first.");
+      return;
+    }
+    new FileSuggestModal(this.app, exportFiles, "Choose a ChatGPT or Claude conversations.json...", async (exportFile) => {
+      await this.importConversationExport(exportFile);
+    }).open();
+  }
+  async importConversationExport(exportFile) {
+    let exportData;
+    try {
+      exportData = JSON.parse(await this.app.vault.read(exportFile));
+    } catch (err) {
+      new import_obsidian.Notice(`Could not read ${exportFile.name}. See console.`);
+      console.error(`Failed to read conversation export ${exportFile.path}:`, err);
+      return;
+    }
+    const format = detectConversationExportFormat(exportData);
+    if (!format) {
+      new import_obsidian.Notice(`${exportFile.name} is not a ChatGPT or Claude conversation export.`);
+      return;
+    }
+    const conversations = Array.isArray(exportData) ? exportData : [exportData];
+    const importFolderPath = (0, import_obsidian.normalizePath)(this.settings.conversationImportFolderPath);
+    const treeFolderPath = (0, import_obsidian.normalizePath)(`${importFolderPath}/trees`);
+    await this.ensureFolderExists(importFolderPath);
+    await this.ensureFolderExists(treeFolderPath);
+    const existingNotes = this.findImportedConversationNotes();
+    const progressNotice = new import_obsidian.Notice(`Importing ${conversations.length} ${format === "chatgpt" ? "ChatGPT" : "Claude"} conversation(s)...`, 0);
+    let created = 0;
+    let updated = 0;
+    let skipped = 0;
+    let failedTrees = 0;
+    for (const rawConversation of conversations) {
+      let conversation;
+      try {
+        conversation = format === "chatgpt" ? parseChatGptConversation(rawConversation) : parseClaudeConversation(rawConversation);
+      } catch (err) {
+        console.error("Failed to parse conversation:", err);
+        skipped++;
+        continue;
+      }
+      if (!conversation.id || Object.keys(conversation.nodes).length === 0) {
+        skipped++;
+        continue;
+      }
+      const treePath = (0, import_obsidian.normalizePath)(`${treeFolderPath}/${conversation.source}-${conversation.id.replace(/[^\w-]/g, "_")}.json`);
+      let noteFile = existingNotes.get(`${conversation.source}:${conversation.id}`);
+      if (!noteFile) {
+        let notePath = (0, import_obsidian.normalizePath)(`${importFolderPath}/${getConversationNoteBaseName(conversation)}.md`);
+        if (this.app.vault.getAbstractFileByPath(notePath))
+          notePath = (0, import_obsidian.normalizePath)(`${importFolderPath}/${getConversationNoteBaseName(conversation)} ${conversation.id}.md`);
+        try {
+          noteFile = await this.app.vault.create(notePath, buildConversationNoteContent(conversation, treePath, ""));
+          created++;
+        } catch (err) {
+          console.error(`Failed to create conversation note ${notePath}:`, err);
+          skipped++;
+          continue;
+        }
+      } else {
+        try {
+          const oldContent = await this.app.vault.read(noteFile);
+          const markerIndex = oldContent.indexOf(CONVERSATION_NOTE_END_MARKER);
+          const preservedText = markerIndex === -1 ? "" : oldContent.slice(markerIndex + CONVERSATION_NOTE_END_MARKER.length).replace(/^\n/, "");
+          await this.app.vault.modify(noteFile, buildConversationNoteContent(conversation, treePath, preservedText));
+          updated++;
+        } catch (err) {
+          console.error(`Failed to update conversation note ${noteFile.path}:`, err);
+          skipped++;
+          continue;
+        }
+      }
+      const treeNodes = {};
+      for (const [nodeId, node] of Object.entries(conversation.nodes)) {
+        treeNodes[nodeId] = { text: formatConversationNodeText(node.role, node.content), parentId: node.parentId, role: node.role };
+      }
+      try {
+        await this.writeExportFile(treePath, JSON.stringify({
+          conversationSource: conversation.source,
+          conversationId: conversation.id,
+          documentPath: noteFile.path,
+          current: conversation.current,
+          nodes: treeNodes
+        }, null, 2));
+      } catch (err) {
+        console.error(`Failed to write conversation tree ${treePath}:`, err);
+        failedTrees++;
+      }
+    }
+    if (this.syncConversationImportSource(true))
+      await this.savePluginSettings();
+    await this.updateLoomIndexIfChanged();
+    progressNotice.hide();
+    new import_obsidian.Notice(`Conversation import finished: ${created} created, ${updated} updated${skipped > 0 ? `, ${skipped} skipped (empty or unreadable)` : ""}${failedTrees > 0 ? `, ${failedTrees} conversation tree(s) could not be written (see console)` : ""}.`, 0);
+  }
+  syncConversationImportSource(createIfMissing) {
+    const treeFolderPath = (0, import_obsidian.normalizePath)(`${this.settings.conversationImportFolderPath}/trees`);
+    const source = this.settings.loomSources.find((candidate) => candidate.id === CONVERSATION_IMPORT_SOURCE_ID);
+    if (!source) {
+      if (!createIfMissing)
+        return false;
+      this.settings.loomSources.push({ id: CONVERSATION_IMPORT_SOURCE_ID, type: "json-folder", name: "Imported conversations", path: treeFolderPath, enabled: true });
+      return true;
+    }
+    if (source.path === treeFolderPath)
+      return false;
+    source.path = treeFolderPath;
+    return true;
+  }
+  findImportedConversationNotes() {
+    var _a;
+    const notes = /* @__PURE__ */ new Map();
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      const frontmatter = (_a = this.app.metadataCache.getFileCache(file)) == null ? void 0 : _a.frontmatter;
+      if (frontmatter && frontmatter.artifactType === "conversation" && frontmatter.conversationId !== void 0 && frontmatter.conversationSource)
+        notes.set(`${frontmatter.conversationSource}:${String(frontmatter.conversationId)}`, file);
+    }
+    return notes;
+  }
+  startLoomArtifactImport() {
+    const artifactFiles = this.app.vault.getFiles().filter((file) => file.name.endsWith(".loomartifact.json"));
+    if (artifactFiles.length === 0) {
+      new import_obsidian.Notice("No .loomartifact.json files found in the vault.");
+      return;
+    }
+    new FileSuggestModal(this.app, artifactFiles, "Choose a Loom artifact to import...", async (artifactFile) => {
+      let artifact;
+      try {
+        artifact = JSON.parse(await this.app.vault.read(artifactFile));
+      } catch (err) {
+        new import_obsidian.Notice(`Could not read ${artifactFile.name}. See console.`);
+        console.error(`Failed to read Loom artifact ${artifactFile.path}:`, err);
+        return;
+      }
+      if (!artifact || typeof artifact.nodes !== "object" || Object.keys(artifact.nodes).length === 0) {
+        new import_obsidian.Notice(`${artifactFile.name} does not contain any Loom nodes.`);
+        return;
+      }
+      const loomData = await this.readLoomData();
+      if (!loomData || !loomData.state) {
+        new import_obsidian.Notice("Loomsidian data could not be read. Import aborted.");
+        return;
+      }
+      const documents = this.app.vault.getMarkdownFiles();
+      const originalDocPath = this.getLoomArtifactOriginalDocPath(artifactFile);
+      const originalDoc = documents.find((file) => file.path === originalDocPath);
+      if (originalDoc) {
+        documents.splice(documents.indexOf(originalDoc), 1);
+        documents.unshift(originalDoc);
+      }
+      new FileSuggestModal(this.app, documents, "Choose the document to import the loom into...", (targetDoc) => {
+        new LoomImportModal(this.app, this, artifactFile, artifact, loomData, targetDoc.path).open();
+      }).open();
+    }).open();
+  }
+  getLoomArtifactOriginalDocPath(artifactFile) {
+    var _a;
+    const mdPath = artifactFile.path.replace(/\.loomartifact\.json$/, ".loomartifact.md");
+    const mdFile = this.app.vault.getAbstractFileByPath(mdPath);
+    if (!(mdFile instanceof import_obsidian.TFile))
+      return null;
+    const frontmatter = (_a = this.app.metadataCache.getFileCache(mdFile)) == null ? void 0 : _a.frontmatter;
+    return frontmatter && typeof frontmatter.originalDocPath === "string" ? frontmatter.originalDocPath : null;
+  }
+  async writeLoomData(loomData, reason, keepBackupPaths = []) {
+    const fileInfo = await this.getLoomDataFileInfo();
+    if (!fileInfo || !fileInfo.exists) {
+      new import_obsidian.Notice("Loomsidian data.json not found. Nothing was written.");
+      return false;
+    }
+    const backupPath = await this.performLoomBackup(fileInfo.path, fileInfo.size, true, keepBackupPaths);
+    if (!backupPath) {
+      new import_obsidian.Notice(`Backup failed, so ${reason} was aborted. Loomsidian data was not changed.`, 0);
+      return false;
+    }
+    try {
+      await this.app.vault.adapter.write(fileInfo.path, JSON.stringify(loomData, null, 2));
+      console.log(`Wrote Loomsidian data for ${reason} (backup: ${backupPath}).`);
+    } catch (err) {
+      new import_obsidian.Notice(`Failed to write Loomsidian data for ${reason}. Restore from ${backupPath} if needed. See console.`, 0);
+      console.error(`Failed to write Loomsidian data for ${reason}:`, err);
+      return false;
+    }
+    await this.updateLoomIndexIfChanged();
+    return true;
+  }
+  async reloadLoomsidian() {
+    const plugins = this.app.plugins;
     try {
-      await this.app.vault.create(mdExportPath, mdContent);
-      console.log(`Exported Loom Markdown to: ${mdExportPath}`);
-      new import_obsidian.Notice(`Successfully exported Loom for ${docFile.basename} to ${exportFolderRelPath}.`, 0);
+      await plugins.disablePlugin("loom");
+      await plugins.enablePlugin("loom");
+      console.log("Reloaded Loomsidian.");
     } catch (err) {
-      new import_obsidian.Notice(`Failed to export Loom Markdown to ${mdExportPath}. JSON data was saved. See console.`);
-      console.error(`Failed to export Loom Markdown to ${mdExportPath}:`, err);
+      new import_obsidian.Notice("Could not reload Loomsidian. Reload Obsidian before using Loomsidian again.", 0);
+      console.error("Failed to reload Loomsidian:", err);
+    }
+  }
+  async importLoomArtifact(artifact, targetDocPath, strategy, reloadLoomsidian) {
+    const loomData = await this.readLoomData();
+    if (!loomData || !loomData.state) {
+      new import_obsidian.Notice("Loomsidian data could not be read. Import aborted.");
+      return;
+    }
+    const analysis = analyzeLoomArtifactImport(artifact, loomData, targetDocPath);
+    const { state, idMap } = buildImportedLoomDocState(artifact, loomData.state[targetDocPath], analysis, strategy);
+    loomData.state[targetDocPath] = state;
+    const remappedCount = [...idMap.entries()].filter(([from, to]) => from !== to).length;
+    if (!await this.writeLoomData(loomData, "Loom artifact import"))
+      return;
+    if (reloadLoomsidian)
+      await this.reloadLoomsidian();
+    new import_obsidian.Notice(`Imported ${analysis.importedCount} node(s) into ${targetDocPath} (${strategy}${remappedCount > 0 ? `, ${remappedCount} given new IDs` : ""}).${reloadLoomsidian ? "" : " Reload Loomsidian before editing this document so it picks up the import."}`, 0);
+  }
+  async restoreLoomBackup(source, documentPaths, reloadLoomsidian) {
+    const backupData = await this.readLoomBackup(source);
+    if (!backupData) {
+      new import_obsidian.Notice(`Could not read ${getLoomSourceLabel(source)}. Nothing was restored.`);
+      return;
+    }
+    let restoredData = backupData;
+    if (documentPaths) {
+      restoredData = await this.readLoomData();
+      if (!restoredData || !restoredData.state) {
+        new import_obsidian.Notice("Loomsidian data could not be read. Restore aborted.");
+        return;
+      }
+      for (const documentPath of documentPaths) {
+        if (backupData.state[documentPath])
+          restoredData.state[documentPath] = backupData.state[documentPath];
+      }
     }
+    if (!await this.writeLoomData(restoredData, "Loom backup restore", [source]))
+      return;
+    if (reloadLoomsidian)
+      await this.reloadLoomsidian();
+    const restoredLabel = documentPaths ? `${documentPaths.length} document(s)` : "all Loom data";
+    new import_obsidian.Notice(`Restored ${restoredLabel} from ${getLoomSourceLabel(source)}.${reloadLoomsidian ? "" : " Reload Loomsidian before editing so it picks up the restored data."}`, 0);
   }
 };